@@ -6,6 +6,8 @@ const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const socialRoutes = require("./routes/social");
 const feedPreviewRoutes = require("./routes/feedPreview");
+const embedRoutes = require("./routes/embed");
+const { startWorkers } = require("./workers");
 
 dotenv.config();
 
@@ -27,10 +29,19 @@ mongoose
   .then(() => console.log("Connected to MongoDB"))
   .catch((err) => console.error("MongoDB connection error:", err));
 
+// Background workers run in their own process with `npm run worker`. A
+// single long-lived API server can run them itself with
+// RUN_WORKERS_IN_APP=true; never set it on Vercel, where every warm instance
+// would run its own loops and frozen ones would leave jobs stuck.
+if (process.env.RUN_WORKERS_IN_APP === "true") {
+  startWorkers();
+}
+
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/social", socialRoutes);
 app.use("/api/social/feed/preview", feedPreviewRoutes);
+app.use("/embed", embedRoutes);
 
 app.use((err, req, res, next) => {
   console.error(err.stack);
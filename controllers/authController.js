@@ -1,5 +1,6 @@
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
+const { ensureDefaultFeed } = require("../services/feedService");
 const sendEmail = require("../utils/sendEmail");
 const crypto = require("crypto");
 
@@ -23,6 +24,7 @@ exports.register = async (req, res) => {
     });
 
     await user.save();
+    await ensureDefaultFeed(user);
 
     const token = user.getSignedJwtToken();
 
@@ -56,6 +58,9 @@ exports.login = async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
+    // Users from before multiple feeds get their default feed here
+    await ensureDefaultFeed(user);
+
     const token = user.getSignedJwtToken();
 
     res.json({
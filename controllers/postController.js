@@ -1,31 +1,27 @@
 const Post = require("../models/Post");
+const { getPlatformNames } = require("../platforms");
 
 exports.getPostCounts = async (req, res) => {
   try {
     const userId = req.user.id;
 
-    // Get counts for each platform
-    const [instagramCount, tiktokCount, facebookCount, youtubeCount] =
-      await Promise.all([
-        Post.countDocuments({ user: userId, platform: "instagram" }),
-        Post.countDocuments({ user: userId, platform: "tiktok" }),
-        Post.countDocuments({ user: userId, platform: "facebook" }),
-        Post.countDocuments({ user: userId, platform: "youtube" }),
-      ]);
+    // Get counts for each registered platform
+    const platforms = getPlatformNames();
+    const platformCounts = await Promise.all(
+      platforms.map((platform) =>
+        Post.countDocuments({ user: userId, platform })
+      )
+    );
 
-    // Calculate total posts
-    const totalPosts =
-      instagramCount + tiktokCount + facebookCount + youtubeCount;
+    const counts = { total: 0 };
+    platforms.forEach((platform, index) => {
+      counts[platform] = platformCounts[index];
+      counts.total += platformCounts[index];
+    });
 
     res.json({
       success: true,
-      data: {
-        total: totalPosts,
-        instagram: instagramCount,
-        tiktok: tiktokCount,
-        facebook: facebookCount,
-        youtube: youtubeCount,
-      },
+      data: counts,
     });
   } catch (error) {
     console.error("Error getting post counts:", error);
@@ -1,6 +1,14 @@
 const User = require("../models/User");
 const { validationResult } = require("express-validator");
 const Post = require("../models/Post");
+const { getPlatformNames } = require("../platforms");
+const {
+  normalizeFeedSlug,
+  getFeedSlugError,
+  isFeedSlugAvailable,
+  changeFeedSlug,
+} = require("../services/feedSlugService");
+const { updateDefaultFeed } = require("../services/feedService");
 
 exports.updateUser = async (req, res) => {
   try {
@@ -169,22 +177,19 @@ exports.getPostCounts = async (req, res) => {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Get counts from Post model
-    const [youtubeCount, tiktokCount, instagramCount, facebookCount] =
-      await Promise.all([
-        Post.countDocuments({ user: req.user.id, platform: "youtube" }),
-        Post.countDocuments({ user: req.user.id, platform: "tiktok" }),
-        Post.countDocuments({ user: req.user.id, platform: "instagram" }),
-        Post.countDocuments({ user: req.user.id, platform: "facebook" }),
-      ]);
-
-    const counts = {
-      total: youtubeCount + tiktokCount + instagramCount + facebookCount,
-      instagram: instagramCount,
-      tiktok: tiktokCount,
-      facebook: facebookCount,
-      youtube: youtubeCount,
-    };
+    // Get counts for each registered platform
+    const platforms = getPlatformNames();
+    const platformCounts = await Promise.all(
+      platforms.map((platform) =>
+        Post.countDocuments({ user: req.user.id, platform })
+      )
+    );
+
+    const counts = { total: 0 };
+    platforms.forEach((platform, index) => {
+      counts[platform] = platformCounts[index];
+      counts.total += platformCounts[index];
+    });
 
     res.json({
       success: true,
@@ -217,6 +222,7 @@ exports.updateHeadings = async (req, res) => {
       { $set: updateFields },
       { new: true }
     );
+    await updateDefaultFeed(user._id, updateFields);
 
     res.json({
       success: true,
@@ -233,3 +239,74 @@ exports.updateHeadings = async (req, res) => {
     });
   }
 };
+
+exports.getFeedSlug = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      feedSlug: req.user.feedSlug || null,
+      previousFeedSlugs: req.user.previousFeedSlugs || [],
+    },
+  });
+};
+
+// Lets the settings page check a slug while the user types
+exports.checkFeedSlug = async (req, res) => {
+  try {
+    const slug = normalizeFeedSlug(req.query.slug);
+    const reason = getFeedSlugError(slug);
+
+    if (reason) {
+      return res.json({
+        success: true,
+        data: { slug, available: false, reason },
+      });
+    }
+
+    const available = await isFeedSlugAvailable(slug, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        slug,
+        available,
+        reason: available ? null : "This feed slug is already taken",
+      },
+    });
+  } catch (error) {
+    console.error("Error checking feed slug:", error);
+    res.status(500).json({
+      success: false,
+      message: "Error checking feed slug",
+    });
+  }
+};
+
+exports.updateFeedSlug = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg,
+        errors: errors.array(),
+      });
+    }
+
+    const user = await changeFeedSlug(req.user, req.body.feedSlug);
+
+    res.json({
+      success: true,
+      data: {
+        feedSlug: user.feedSlug,
+        previousFeedSlugs: user.previousFeedSlugs,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating feed slug:", error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Error updating feed slug",
+    });
+  }
+};
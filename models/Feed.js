@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const {
+  getPlatformNames,
+  getDefaultSelectedPlatforms,
+} = require("../platforms");
+
+// A named feed a user shows on one of their pages, e.g. "Summer collection".
+// Every user has one default feed, migrated from the single set of feed
+// settings that used to live on User; see services/feedService.js.
+const feedSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // The feed served at the user's feed slug
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    layout: {
+      type: String,
+      enum: [
+        "Grid",
+        "No Gutter",
+        "Highlight",
+        "Slideshow",
+        "Collage1",
+        "Collage2",
+        "Collage3",
+        "Collage4",
+        "Collage5",
+      ],
+      default: "Grid",
+    },
+    postsCount: {
+      type: String,
+      enum: ["3", "6", "9", "12", "15"],
+      default: "6",
+    },
+    mainHeading: {
+      type: String,
+      default: "Enter Main heading",
+    },
+    subHeading: {
+      type: String,
+      default: "Enter Sub heading",
+    },
+    // Same toggles as User.selectedPlatforms, per feed
+    platforms: {
+      type: getPlatformNames().reduce((toggles, name) => {
+        toggles[name] = {
+          type: Boolean,
+          default: true,
+        };
+        return toggles;
+      }, {}),
+      default: () => getDefaultSelectedPlatforms(),
+    },
+    // Posts in the order they are shown
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+feedSchema.index({ user: 1, createdAt: 1 });
+// One default feed per user
+feedSchema.index(
+  { user: 1, isDefault: 1 },
+  { unique: true, partialFilterExpression: { isDefault: true } }
+);
+feedSchema.index({ posts: 1 });
+
+module.exports = mongoose.model("Feed", feedSchema);
@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+const { getPlatformNames } = require("../platforms");
+
+// A post import waiting for, or handled by, workers/importWorker.js
+const importJobSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    platform: {
+      type: String,
+      enum: getPlatformNames(),
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    embedCode: {
+      type: String,
+      default: "",
+    },
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Times the job was put back in the queue after its worker died
+    requeues: {
+      type: Number,
+      default: 0,
+    },
+    // The imported post, or the existing one when it was already added
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// The worker picks the oldest queued job
+importJobSchema.index({ status: 1, createdAt: 1 });
+importJobSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ImportJob", importJobSchema);
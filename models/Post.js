@@ -1,4 +1,56 @@
 const mongoose = require("mongoose");
+const { getPlatformNames, getPlatformFields } = require("../platforms");
+
+// A product tagged on the post. x and y place its hotspot on the media as
+// fractions of the width and height; without them the product is untagged.
+const productSchema = new mongoose.Schema({
+  // Catalog product the tag was made from; its fields are kept in sync
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    default: null,
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  price: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    default: "",
+  },
+  image: {
+    type: String,
+    default: "",
+  },
+  availability: {
+    type: String,
+    enum: ["in_stock", "out_of_stock", "preorder", ""],
+    default: "",
+  },
+  x: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null,
+  },
+  y: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null,
+  },
+});
 
 const postSchema = new mongoose.Schema(
   {
@@ -9,7 +61,7 @@ const postSchema = new mongoose.Schema(
     },
     platform: {
       type: String,
-      enum: ["youtube", "tiktok", "instagram", "facebook"],
+      enum: getPlatformNames(),
       required: true,
     },
     url: {
@@ -29,26 +81,72 @@ const postSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Product card read from the productLink page by
+    // services/productMetadataService.js; url is the link it was read from
+    productMeta: {
+      url: String,
+      title: String,
+      image: String,
+      price: Number,
+      currency: String,
+      availability: {
+        type: String,
+        enum: ["in_stock", "out_of_stock", "preorder", ""],
+      },
+      error: String,
+      fetchedAt: Date,
+    },
+    // Catalog product the post links to; productLink follows its URL
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    // Last result of services/productLinkService.js for productLink
+    productLinkHealth: {
+      status: {
+        type: String,
+        enum: ["ok", "out_of_stock", "redirected", "broken", "unknown"],
+      },
+      statusCode: Number,
+      finalUrl: String,
+      outOfStockSignal: String,
+      error: String,
+      checkedAt: Date,
+    },
+    products: {
+      type: [productSchema],
+      default: [],
+    },
     selected: {
       type: Boolean,
       default: true,
     },
-    // Platform specific fields
-    // YouTube specific
-    videoId: String,
-    embedCode: String,
-    thumbnailUrl: String,
-    channelName: String,
-    channelImage: String,
-    // TikTok specific
-    caption: String,
-    username: String,
-    userImage: String,
-    videoPath: String,
-    // Instagram specific
-    imageUrl: String,
-    // Facebook specific
-    // No additional fields needed
+    // Platform specific fields, declared by each module in platforms/
+    ...getPlatformFields(),
+    // Set by services/refreshService.js each time the post is re-scraped
+    lastRefreshedAt: {
+      type: Date,
+      default: null,
+    },
+    refreshError: {
+      type: String,
+      default: null,
+    },
+    // Set by services/linkHealthService.js when the post or its image is
+    // gone; unavailable posts are left out of the public feed
+    unavailable: {
+      type: Boolean,
+      default: false,
+    },
+    unavailableReason: {
+      type: String,
+      default: null,
+    },
+    lastCheckedAt: {
+      type: Date,
+      default: null,
+    },
     addedAt: {
       type: Date,
       default: Date.now,
@@ -61,5 +159,11 @@ const postSchema = new mongoose.Schema(
 
 // Create a compound index for user and url to ensure uniqueness
 postSchema.index({ user: 1, url: 1 }, { unique: true });
+// The scheduled refresher picks the least recently refreshed posts
+postSchema.index({ lastRefreshedAt: 1, createdAt: 1 });
+postSchema.index({ lastCheckedAt: 1 });
+postSchema.index({ "productLinkHealth.checkedAt": 1 });
+postSchema.index({ product: 1 });
+postSchema.index({ "products.product": 1 });
 
 module.exports = mongoose.model("Post", postSchema);
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// A product in the user's catalog. Posts reference it instead of copying
+// its URL, so editing the product updates every post that links to it.
+const productSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    image: {
+      type: String,
+      default: "",
+    },
+    price: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "",
+    },
+    availability: {
+      type: String,
+      enum: ["in_stock", "out_of_stock", "preorder", ""],
+      default: "",
+    },
+    sku: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    tags: {
+      type: [String],
+      default: [],
+    },
+    // Set for products picked from a connected store; price, availability
+    // and the other fields are then synced from the store
+    source: {
+      provider: {
+        type: String,
+        enum: ["shopify", "woocommerce"],
+      },
+      externalId: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+productSchema.index({ user: 1, createdAt: -1 });
+productSchema.index({ user: 1, tags: 1 });
+productSchema.index({ user: 1, "source.provider": 1, "source.externalId": 1 });
+
+module.exports = mongoose.model("Product", productSchema);
@@ -0,0 +1,63 @@
+const mongoose = require("mongoose");
+
+// A user's connection to an online store (see services/storeService.js)
+const storeConnectionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    provider: {
+      type: String,
+      enum: ["shopify", "woocommerce"],
+      required: true,
+    },
+    // e.g. my-shop.myshopify.com or https://example.com/shop for
+    // WooCommerce; may include a protocol and port, which points the
+    // connection at a local mock server during development
+    storeDomain: {
+      type: String,
+      required: true,
+    },
+    // Shopify Storefront API token
+    accessToken: {
+      type: String,
+      select: false,
+    },
+    // WooCommerce REST API key pair
+    consumerKey: {
+      type: String,
+      select: false,
+    },
+    consumerSecret: {
+      type: String,
+      select: false,
+    },
+    storeName: {
+      type: String,
+      default: "",
+    },
+    // Store currency, for stores whose product data leaves it out
+    currency: {
+      type: String,
+      default: "",
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null,
+    },
+    syncError: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// One connection per store provider
+storeConnectionSchema.index({ user: 1, provider: 1 }, { unique: true });
+
+module.exports = mongoose.model("StoreConnection", storeConnectionSchema);
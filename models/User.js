@@ -2,6 +2,10 @@ const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const {
+  getPlatformNames,
+  getDefaultSelectedPlatforms,
+} = require("../platforms");
 
 const userSchema = new mongoose.Schema(
   {
@@ -31,30 +35,14 @@ const userSchema = new mongoose.Schema(
       select: false,
     },
     selectedPlatforms: {
-      type: {
-        instagram: {
+      type: getPlatformNames().reduce((toggles, name) => {
+        toggles[name] = {
           type: Boolean,
           default: true,
-        },
-        facebook: {
-          type: Boolean,
-          default: true,
-        },
-        youtube: {
-          type: Boolean,
-          default: true,
-        },
-        tiktok: {
-          type: Boolean,
-          default: true,
-        },
-      },
-      default: () => ({
-        instagram: true,
-        facebook: true,
-        youtube: true,
-        tiktok: true,
-      }),
+        };
+        return toggles;
+      }, {}),
+      default: () => getDefaultSelectedPlatforms(),
     },
     feedSettings: {
       layout: {
@@ -86,6 +74,23 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: "Enter Sub heading",
     },
+    // Public feed address chosen by the user; see services/feedSlugService
+    feedSlug: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    // Slugs used before a rename, so shared links keep redirecting
+    previousFeedSlugs: {
+      type: [String],
+      default: [],
+    },
+    // Secret token in the product feed URLs, which Google Merchant Center
+    // fetches without logging in; see services/productFeedService
+    productFeedToken: {
+      type: String,
+      select: false,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -98,6 +103,10 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+userSchema.index({ feedSlug: 1 }, { unique: true, sparse: true });
+userSchema.index({ previousFeedSlugs: 1 });
+userSchema.index({ productFeedToken: 1 }, { unique: true, sparse: true });
+
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
     next();
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { getPlatformNames } = require("../platforms");
 
 const clickSchema = new mongoose.Schema(
   {
@@ -14,7 +15,7 @@ const clickSchema = new mongoose.Schema(
     },
     platform: {
       type: String,
-      enum: ["instagram", "facebook", "tiktok", "youtube"],
+      enum: getPlatformNames(),
       required: true,
     },
     user: {
@@ -0,0 +1,32 @@
+const { createFacebookService } = require("../services/facebookService");
+
+const facebookService = createFacebookService();
+
+module.exports = {
+  name: "facebook",
+  label: "Facebook",
+  clickTotalKey: "fbTotal",
+  urlPatterns: [
+    /^https?:\/\/((www|m|web)\.)?(facebook|fb)\.com\//i,
+    /^https?:\/\/(www\.)?fb\.watch\//i,
+  ],
+  fields: {
+    imageUrl: String,
+    // Videos and reels: playable source (expiring) and plugin embed code
+    videoPath: String,
+    embedCode: String,
+    mediaType: {
+      type: String,
+      enum: ["image", "video"],
+      default: "image",
+    },
+  },
+  extract: facebookService.extract,
+  refreshVideoPath: facebookService.refreshVideoPath,
+  toFeedItem: (post) => ({
+    imageUrl: post.imageUrl,
+    url: post.url,
+    platform: post.platform,
+    mediaType: post.mediaType || "image",
+  }),
+};
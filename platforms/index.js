@@ -0,0 +1,141 @@
+const youtube = require("./youtube");
+const tiktok = require("./tiktok");
+const instagram = require("./instagram");
+const facebook = require("./facebook");
+const pinterest = require("./pinterest");
+const x = require("./x");
+
+// Registry of supported social platforms. Each platform module declares:
+//   name          - value stored in Post.platform / Click.platform
+//   label         - human readable name used in messages
+//   clickTotalKey - key used for the platform in the /clicks totals
+//   urlPatterns   - regexes used to detect the platform from a pasted URL
+//   fields        - platform specific Post schema fields
+//   extract       - async ({ url, embedCode, upload }) => { post, extractionMethod, message }
+//                   `upload` optionally replaces the Cloudinary upload for
+//                   this call; the refresher uses it to keep stored images
+//   toFeedItem    - maps a stored post to the public feed format
+//   duplicateQuery - optional (post) => extra query matching an already imported copy
+//   refreshVideoPath - optional async (post) => a playable videoPath for posts
+//                      whose stored video URL expires
+//   checkAvailability - optional async (post) => why the post is gone, or null;
+//                       replaces the generic page check of the link checker
+// Platforms that can import many posts from one URL (e.g. a YouTube channel)
+// also declare:
+//   isCollectionUrl - (url) => whether the URL points at a collection
+//   listCollection  - async ({ url, limit }) => [{ id, url, ... }]; items
+//                     also carry the fields duplicateQuery reads
+//   extractMany     - async (items) => [{ item, post } | { item, error }]
+// Platform modules only describe the platform; the scraping and API calls
+// live in services/<platform>Service.js so they can run outside Express.
+// To add a platform, create its module and register it below.
+const platforms = new Map();
+
+const registerPlatform = (platform) => {
+  if (!platform || !platform.name || typeof platform.extract !== "function") {
+    throw new Error("A platform must have a name and an extract function");
+  }
+  platforms.set(platform.name, platform);
+};
+
+[youtube, tiktok, instagram, facebook, pinterest, x].forEach(registerPlatform);
+
+const getPlatform = (name) => platforms.get(name) || null;
+
+const getPlatformNames = () => Array.from(platforms.keys());
+
+const isValidPlatform = (name) => platforms.has(name);
+
+const invalidPlatformMessage = () =>
+  `Invalid platform. Must be one of: ${getPlatformNames().join(", ")}`;
+
+const detectPlatform = (url) => {
+  if (!url || typeof url !== "string") return null;
+
+  const input = url.trim();
+  for (const platform of platforms.values()) {
+    if (platform.urlPatterns.some((pattern) => pattern.test(input))) {
+      return platform;
+    }
+  }
+  return null;
+};
+
+// Merged platform specific fields for the Post schema
+const getPlatformFields = () =>
+  Array.from(platforms.values()).reduce(
+    (fields, platform) => ({ ...fields, ...platform.fields }),
+    {}
+  );
+
+// Public fields of a tagged product
+const toFeedProduct = (product) => ({
+  _id: product._id,
+  name: product.name,
+  url: product.url,
+  price: product.price,
+  currency: product.currency,
+  image: product.image,
+  availability: product.availability,
+  x: product.x,
+  y: product.y,
+});
+
+// Card for the post's productLink, filled from the product page. Left out
+// until productMeta has been read from the current link, so a changed link
+// never shows the previous product.
+const toProductCard = (post) => {
+  const meta = post.productMeta;
+  if (!post.productLink || !meta || meta.url !== post.productLink) {
+    return null;
+  }
+  return {
+    url: post.productLink,
+    title: meta.title || "",
+    image: meta.image || "",
+    price: meta.price ?? null,
+    currency: meta.currency || "",
+    availability: meta.availability || "",
+  };
+};
+
+const toFeedItem = (post) => {
+  const platform = getPlatform(post.platform);
+  const item =
+    platform && platform.toFeedItem
+      ? platform.toFeedItem(post)
+      : {
+          imageUrl: post.thumbnailUrl || post.imageUrl,
+          url: post.url,
+          platform: post.platform,
+        };
+  // Tagged products render as tappable hotspots on every platform
+  return {
+    ...item,
+    products: (post.products || []).map(toFeedProduct),
+    productCard: toProductCard(post),
+  };
+};
+
+// Returns { instagram: true, facebook: true, ... } for every registered platform
+const getDefaultSelectedPlatforms = (value = true) =>
+  getPlatformNames().reduce((acc, name) => {
+    acc[name] = value;
+    return acc;
+  }, {});
+
+// Platforms enabled in a user's selectedPlatforms toggles
+const getEnabledPlatforms = (selectedPlatforms) =>
+  getPlatformNames().filter((name) => selectedPlatforms?.[name]);
+
+module.exports = {
+  getPlatform,
+  getPlatformNames,
+  isValidPlatform,
+  invalidPlatformMessage,
+  detectPlatform,
+  getPlatformFields,
+  toFeedItem,
+  getDefaultSelectedPlatforms,
+  getEnabledPlatforms,
+};
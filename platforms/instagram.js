@@ -0,0 +1,48 @@
+const { createInstagramService } = require("../services/instagramService");
+
+const instagramService = createInstagramService();
+
+module.exports = {
+  name: "instagram",
+  label: "Instagram",
+  clickTotalKey: "instaTotal",
+  urlPatterns: [
+    /^https?:\/\/(www\.)?instagram\.com\//i,
+    /<blockquote[^>]+instagram-media/i,
+  ],
+  fields: {
+    imageUrl: String,
+    embedCode: String,
+    // Ordered slides of a carousel post; empty for single image posts
+    media: [
+      {
+        type: {
+          type: String,
+          enum: ["image", "video"],
+        },
+        url: String,
+        thumbnailUrl: String,
+      },
+    ],
+    // Reels and video posts store a playable (expiring) CDN URL
+    videoPath: String,
+    mediaType: {
+      type: String,
+      enum: ["image", "video"],
+      default: "image",
+    },
+  },
+  extract: instagramService.extract,
+  refreshVideoPath: instagramService.refreshVideoPath,
+  toFeedItem: (post) => ({
+    imageUrl: post.imageUrl,
+    url: post.url,
+    platform: post.platform,
+    mediaType: post.mediaType || "image",
+    media: (post.media || []).map(({ type, url, thumbnailUrl }) => ({
+      type,
+      url,
+      thumbnailUrl,
+    })),
+  }),
+};
@@ -0,0 +1,24 @@
+const { createPinterestService } = require("../services/pinterestService");
+
+const pinterestService = createPinterestService();
+
+module.exports = {
+  name: "pinterest",
+  label: "Pinterest",
+  clickTotalKey: "pinTotal",
+  urlPatterns: [
+    /^https?:\/\/([a-z0-9-]+\.)?pinterest\.[a-z.]+\/pin\//i,
+    /^https?:\/\/pin\.it\//i,
+  ],
+  fields: {
+    imageUrl: String,
+    pinId: String,
+    destinationUrl: String,
+  },
+  extract: pinterestService.extract,
+  toFeedItem: (post) => ({
+    imageUrl: post.imageUrl,
+    url: post.url,
+    platform: post.platform,
+  }),
+};
@@ -0,0 +1,28 @@
+const { createTikTokService } = require("../services/tiktokService");
+
+const tiktokService = createTikTokService();
+
+module.exports = {
+  name: "tiktok",
+  label: "TikTok",
+  clickTotalKey: "tikTotal",
+  urlPatterns: [
+    /^https?:\/\/((www|m|vm|vt)\.)?tiktok\.com\//i,
+    /<blockquote[^>]+tiktok-embed/i,
+  ],
+  fields: {
+    thumbnailUrl: String,
+    caption: String,
+    username: String,
+    userImage: String,
+    videoPath: String,
+  },
+  extract: tiktokService.extract,
+  refreshVideoPath: tiktokService.refreshVideoPath,
+  toFeedItem: (post) => ({
+    imageUrl: post.thumbnailUrl || post.imageUrl,
+    url: post.url,
+    platform: post.platform,
+    mediaType: "video",
+  }),
+};
@@ -0,0 +1,25 @@
+const { createXService, statusUrlPattern } = require("../services/xService");
+
+const xService = createXService();
+
+module.exports = {
+  name: "x",
+  label: "X",
+  clickTotalKey: "xTotal",
+  urlPatterns: [statusUrlPattern, /<blockquote[^>]+twitter-tweet/i],
+  fields: {
+    tweetId: String,
+    caption: String,
+    username: String,
+    userImage: String,
+    imageUrl: String,
+    embedCode: String,
+  },
+  extract: xService.extract,
+  // Text-only posts have no media, so fall back to the author's avatar
+  toFeedItem: (post) => ({
+    imageUrl: post.imageUrl || post.userImage,
+    url: post.url,
+    platform: post.platform,
+  }),
+};
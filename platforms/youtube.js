@@ -0,0 +1,42 @@
+const {
+  createYouTubeService,
+  isCollectionUrl,
+} = require("../services/youtubeService");
+
+const youtubeService = createYouTubeService();
+
+module.exports = {
+  name: "youtube",
+  label: "YouTube",
+  clickTotalKey: "ytTotal",
+  urlPatterns: [
+    /^https?:\/\/((www|m|music)\.)?youtube(-nocookie)?\.com\//i,
+    /^https?:\/\/(www\.)?youtu\.be\//i,
+    /<iframe[^>]+youtube(-nocookie)?\.com\/embed\//i,
+  ],
+  fields: {
+    videoId: String,
+    embedCode: String,
+    thumbnailUrl: String,
+    channelName: String,
+    channelImage: String,
+    isShort: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  extract: youtubeService.extract,
+  isCollectionUrl,
+  listCollection: youtubeService.listCollection,
+  extractMany: youtubeService.extractMany,
+  checkAvailability: youtubeService.checkAvailability,
+  // Older posts may be stored under a non-canonical URL, so match on video id too
+  duplicateQuery: (post) => ({ videoId: post.videoId }),
+  // Shorts are vertical videos and render in a vertical tile
+  toFeedItem: (post) => ({
+    imageUrl: post.thumbnailUrl,
+    url: post.url,
+    platform: post.platform,
+    isShort: !!post.isShort,
+  }),
+};
@@ -0,0 +1,65 @@
+const express = require("express");
+// Mounted at /embed, outside /api, so the snippet URL stays short
+const router = express.Router();
+const { getPublicFeed, getPublicFeedById } = require("../services/feedService");
+const { resolveFeedOwner } = require("../services/feedSlugService");
+const { renderFeedWidget, LOADER_SCRIPT } = require("../services/embedService");
+
+// Script shop owners include with data-user set to their feed slug (or
+// user id, for snippets made before slugs existed), or data-feed set to
+// the id of another of their feeds
+router.get("/loader.js", (req, res) => {
+  res
+    .type("application/javascript")
+    .set("Cache-Control", "public, max-age=3600")
+    .send(LOADER_SCRIPT);
+});
+
+const sendWidget = (res, feed) =>
+  res
+    .type("html")
+    .set("Cache-Control", "public, max-age=300")
+    .send(renderFeedWidget(feed));
+
+// Widget page of one of the user's named feeds
+router.get("/feeds/:feedId", async (req, res) => {
+  try {
+    const feed = await getPublicFeedById(req.params.feedId);
+
+    if (!feed) {
+      return res.status(404).type("html").send("<p>Feed not found</p>");
+    }
+
+    sendWidget(res, feed);
+  } catch (error) {
+    // A malformed id cannot match any feed
+    if (error.name === "CastError") {
+      return res.status(404).type("html").send("<p>Feed not found</p>");
+    }
+    console.error("Error rendering embed widget:", error);
+    res.status(500).type("html").send("<p>Feed unavailable</p>");
+  }
+});
+
+// The widget page the loader shows in an iframe, for the user's default feed
+router.get("/:feed", async (req, res) => {
+  try {
+    const owner = await resolveFeedOwner(req.params.feed);
+
+    if (!owner) {
+      return res.status(404).type("html").send("<p>Feed not found</p>");
+    }
+
+    // Old slug after a rename
+    if (owner.movedTo) {
+      return res.redirect(301, `${req.baseUrl}/${owner.movedTo}`);
+    }
+
+    sendWidget(res, await getPublicFeed(owner.user));
+  } catch (error) {
+    console.error("Error rendering embed widget:", error);
+    res.status(500).type("html").send("<p>Feed unavailable</p>");
+  }
+});
+
+module.exports = router;
@@ -1,69 +1,30 @@
 const express = require("express");
 const router = express.Router();
-const User = require("../models/User");
-const Post = require("../models/Post");
+const { getPublicFeed } = require("../services/feedService");
+const { resolveFeedOwner } = require("../services/feedSlugService");
 
-// Get feed preview for a specific user
-router.get("/:userId", async (req, res) => {
+// Get feed preview for a user, addressed by feed slug or user id
+router.get("/:feed", async (req, res) => {
   try {
-    const userId = req.params.userId;
+    const owner = await resolveFeedOwner(req.params.feed);
 
-    // Find user and their feed settings
-    const user = await User.findById(userId).select(
-      "mainHeading subHeading feedSettings selectedPlatforms"
-    );
-
-    if (!user) {
+    if (!owner) {
       return res.status(404).json({
         success: false,
         message: "User not found",
       });
     }
 
-    let platforms = [];
-    if (user.selectedPlatforms?.instagram) platforms.push("instagram");
-    if (user.selectedPlatforms?.facebook) platforms.push("facebook");
-    if (user.selectedPlatforms?.youtube) platforms.push("youtube");
-    if (user.selectedPlatforms?.tiktok) platforms.push("tiktok");
-
-    const postsCount = parseInt(user.feedSettings?.postsCount || "6");
-
-    const posts = await Post.find({
-      user: user._id,
-      platform: { $in: platforms },
-      selected: true,
-    })
-      .sort({ addedAt: -1 })
-      .limit(postsCount)
-      .lean();
-
-    console.log(posts);
+    // Old slug after a rename
+    if (owner.movedTo) {
+      return res.redirect(301, `${req.baseUrl}/${owner.movedTo}`);
+    }
 
-    // Map posts to consistent format
-    const formattedPosts = posts.map((post) => {
-      let imageUrl = post.thumbnailUrl || post.imageUrl;
-      return {
-        imageUrl,
-        url: post.url,
-        platform: post.platform,
-      };
-    });
+    const feedSettings = await getPublicFeed(owner.user);
 
     res.json({
       success: true,
-      feedSettings: {
-        mainHeading: user.mainHeading || "Enter Main heading",
-        subHeading: user.subHeading || "Enter Sub heading",
-        layout: user.feedSettings?.layout || "Grid",
-        postsCount: user.feedSettings?.postsCount || "6",
-        platforms: user.selectedPlatforms || {
-          instagram: false,
-          facebook: false,
-          tiktok: false,
-          youtube: false,
-        },
-        posts: formattedPosts,
-      },
+      feedSettings,
     });
   } catch (error) {
     console.error("Error fetching feed preview:", error);
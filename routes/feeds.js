@@ -0,0 +1,253 @@
+const express = require("express");
+// Mounted at /api/social/feeds
+const router = express.Router();
+const { body, validationResult, matchedData } = require("express-validator");
+const Feed = require("../models/Feed");
+const Post = require("../models/Post");
+const { protect } = require("../middleware/auth");
+const { isValidPlatform, invalidPlatformMessage } = require("../platforms");
+const {
+  FEED_FIELDS,
+  ensureDefaultFeed,
+  updateFeed,
+  getPublicFeedById,
+} = require("../services/feedService");
+
+const MAX_FEED_POSTS = 100;
+
+// Name is required when creating a feed, optional when updating
+const feedValidators = (isUpdate) => {
+  const name = isUpdate ? body("name").optional() : body("name");
+
+  return [
+    name
+      .isString()
+      .withMessage("Feed name is required")
+      .trim()
+      .notEmpty()
+      .withMessage("Feed name is required")
+      .isLength({ max: 100 })
+      .withMessage("Feed name cannot be more than 100 characters"),
+    body("layout")
+      .optional()
+      .isIn(Feed.schema.path("layout").enumValues)
+      .withMessage(
+        `Layout must be one of: ${Feed.schema
+          .path("layout")
+          .enumValues.join(", ")}`
+      ),
+    body("postsCount")
+      .optional()
+      .customSanitizer(String)
+      .isIn(Feed.schema.path("postsCount").enumValues)
+      .withMessage("Posts count must be one of: 3, 6, 9, 12, 15"),
+    body(["mainHeading", "subHeading"])
+      .optional()
+      .isString()
+      .withMessage("Headings must be text")
+      .isLength({ max: 200 })
+      .withMessage("Headings cannot be more than 200 characters"),
+    body("platforms")
+      .optional()
+      .isObject()
+      .withMessage("Platforms must map platform names to true or false")
+      .custom((platforms) => Object.keys(platforms).every(isValidPlatform))
+      .withMessage(invalidPlatformMessage()),
+    body("platforms.*")
+      .isBoolean({ strict: true })
+      .withMessage("Platforms must map platform names to true or false"),
+    body("posts")
+      .optional()
+      .isArray({ max: MAX_FEED_POSTS })
+      .withMessage(
+        `Posts must be a list of at most ${MAX_FEED_POSTS} post ids`
+      ),
+    body("posts.*").isMongoId().withMessage("Posts must be a list of post ids"),
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: errors.array()[0].msg,
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Validated feed fields sent in the body, with duplicate posts removed.
+// Returns null after responding when a post is not one of the user's.
+const getFeedInput = async (req, res) => {
+  const data = matchedData(req, {
+    locations: ["body"],
+    includeOptionals: true,
+  });
+  const input = Object.fromEntries(
+    FEED_FIELDS.filter((field) => field in req.body).map((field) => [
+      field,
+      data[field],
+    ])
+  );
+
+  if (input.posts) {
+    input.posts = [...new Set(input.posts)];
+    const owned = await Post.countDocuments({
+      _id: { $in: input.posts },
+      user: req.user._id,
+    });
+    if (owned !== input.posts.length) {
+      res.status(400).json({
+        success: false,
+        message: "Feeds can only show your own posts",
+      });
+      return null;
+    }
+  }
+
+  return input;
+};
+
+const sendFeedNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Feed not found",
+  });
+
+const sendError = (res, message, error) => {
+  // A malformed id cannot match any feed
+  if (error.name === "CastError") {
+    return sendFeedNotFound(res);
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// List the user's feeds, default feed first. Users from before multiple
+// feeds get their default feed here.
+router.get("/", protect, async (req, res) => {
+  try {
+    await ensureDefaultFeed(req.user);
+
+    const feeds = await Feed.find({ user: req.user._id })
+      .sort({ isDefault: -1, createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      feeds,
+    });
+  } catch (error) {
+    sendError(res, "Error fetching feeds", error);
+  }
+});
+
+router.post("/", protect, feedValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const input = await getFeedInput(req, res);
+    if (!input) return;
+
+    const feed = await Feed.create({ ...input, user: req.user._id });
+
+    res.status(201).json({
+      success: true,
+      message: "Feed created successfully",
+      data: feed,
+    });
+  } catch (error) {
+    sendError(res, "Error creating feed", error);
+  }
+});
+
+// Public preview of one feed, for pages that show a feed other than the
+// default one served at the user's feed slug
+router.get("/:feedId/preview", async (req, res) => {
+  try {
+    const feedSettings = await getPublicFeedById(req.params.feedId);
+    if (!feedSettings) return sendFeedNotFound(res);
+
+    res.json({
+      success: true,
+      feedSettings,
+    });
+  } catch (error) {
+    sendError(res, "Error fetching feed preview", error);
+  }
+});
+
+router.get("/:feedId", protect, async (req, res) => {
+  try {
+    const feed = await Feed.findOne({
+      _id: req.params.feedId,
+      user: req.user._id,
+    }).lean();
+    if (!feed) return sendFeedNotFound(res);
+
+    res.json({
+      success: true,
+      data: feed,
+    });
+  } catch (error) {
+    sendError(res, "Error fetching feed", error);
+  }
+});
+
+// Update a feed's settings or its ordered list of posts
+router.patch("/:feedId", protect, feedValidators(true), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const feed = await Feed.findOne({
+      _id: req.params.feedId,
+      user: req.user._id,
+    });
+    if (!feed) return sendFeedNotFound(res);
+
+    const input = await getFeedInput(req, res);
+    if (!input) return;
+
+    res.json({
+      success: true,
+      message: "Feed updated successfully",
+      data: await updateFeed(feed, input),
+    });
+  } catch (error) {
+    sendError(res, "Error updating feed", error);
+  }
+});
+
+router.delete("/:feedId", protect, async (req, res) => {
+  try {
+    const feed = await Feed.findOne({
+      _id: req.params.feedId,
+      user: req.user._id,
+    });
+    if (!feed) return sendFeedNotFound(res);
+
+    if (feed.isDefault) {
+      return res.status(400).json({
+        success: false,
+        message: "The default feed cannot be deleted",
+      });
+    }
+
+    await feed.deleteOne();
+
+    res.json({
+      success: true,
+      message: "Feed deleted successfully",
+    });
+  } catch (error) {
+    sendError(res, "Error deleting feed", error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require("express");
+// Mounted at /api/social/post/:postId/products
+const router = express.Router({ mergeParams: true });
+const { body, validationResult, matchedData } = require("express-validator");
+const Post = require("../models/Post");
+const Product = require("../models/Product");
+const { protect } = require("../middleware/auth");
+const { toPostProductFields } = require("../services/productCatalogService");
+
+const MAX_PRODUCTS_PER_POST = 20;
+
+// Name and URL are required when adding a product, optional when updating
+// or when the tag is made from a catalog product
+const productValidators = (isUpdate) => {
+  const required = (field) =>
+    isUpdate
+      ? body(field).optional()
+      : body(field).if((value, { req }) => !req.body.product);
+
+  return [
+    body("product")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("product must be a catalog product id"),
+    required("name")
+      .isString()
+      .withMessage("Product name is required")
+      .trim()
+      .notEmpty()
+      .withMessage("Product name is required")
+      .isLength({ max: 200 })
+      .withMessage("Product name cannot be more than 200 characters"),
+    required("url")
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Please provide a valid product URL"),
+    body("price")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number")
+      .toFloat(),
+    body("currency")
+      .optional()
+      .isString()
+      .trim()
+      .matches(/^([A-Za-z]{3})?$/)
+      .withMessage("Currency must be a 3 letter code such as USD")
+      .toUpperCase(),
+    body("image")
+      .optional()
+      // An empty string clears the image
+      .if((value) => value !== "")
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Please provide a valid image URL"),
+    ...["x", "y"].map((field) =>
+      body(field)
+        .optional({ values: "null" })
+        .isFloat({ min: 0, max: 1 })
+        .withMessage(`${field} must be between 0 and 1`)
+        .toFloat()
+    ),
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: errors.array()[0].msg,
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Validated product fields sent in the body. null clears price, x and y.
+const getProductInput = (req) => {
+  const data = matchedData(req, {
+    locations: ["body"],
+    includeOptionals: true,
+  });
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => field in req.body)
+  );
+};
+
+// Fills a tag linked to a catalog product with the product's fields.
+// Returns null when the user has no such product.
+const withCatalogFields = async (req, input) => {
+  if (!input.product) return input;
+
+  const product = await Product.findOne({
+    _id: input.product,
+    user: req.user._id,
+  }).lean();
+  return product ? { ...input, ...toPostProductFields(product) } : null;
+};
+
+const sendCatalogProductNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Catalog product not found",
+  });
+
+// Loads the post from the URL, making sure it belongs to the user
+const findUserPost = (req) =>
+  Post.findOne({ _id: req.params.postId, user: req.user._id });
+
+const sendPostNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Post not found or unauthorized",
+  });
+
+const sendError = (res, message, error) => {
+  // A malformed id cannot match any post
+  if (error.name === "CastError") {
+    return sendPostNotFound(res);
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+// List the products tagged on a post
+router.get("/", protect, async (req, res) => {
+  try {
+    const post = await findUserPost(req).select("products").lean();
+    if (!post) return sendPostNotFound(res);
+
+    res.json({
+      success: true,
+      products: post.products || [],
+    });
+  } catch (error) {
+    sendError(res, "Error fetching products", error);
+  }
+});
+
+// Tag a product on a post
+router.post("/", protect, productValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const post = await findUserPost(req);
+    if (!post) return sendPostNotFound(res);
+
+    if (post.products.length >= MAX_PRODUCTS_PER_POST) {
+      return res.status(400).json({
+        success: false,
+        message: `A post can have at most ${MAX_PRODUCTS_PER_POST} products`,
+      });
+    }
+
+    const input = await withCatalogFields(req, getProductInput(req));
+    if (!input) return sendCatalogProductNotFound(res);
+
+    post.products.push(input);
+    await post.save();
+
+    res.status(201).json({
+      success: true,
+      message: "Product added successfully",
+      data: post.products[post.products.length - 1],
+    });
+  } catch (error) {
+    sendError(res, "Error adding product", error);
+  }
+});
+
+// Update a tagged product, e.g. move its hotspot
+router.patch(
+  "/:productId",
+  protect,
+  productValidators(true),
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const post = await findUserPost(req);
+      if (!post) return sendPostNotFound(res);
+
+      const product = post.products.id(req.params.productId);
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: "Product not found",
+        });
+      }
+
+      const input = await withCatalogFields(req, getProductInput(req));
+      if (!input) return sendCatalogProductNotFound(res);
+
+      product.set(input);
+      await post.save();
+
+      res.json({
+        success: true,
+        message: "Product updated successfully",
+        data: product,
+      });
+    } catch (error) {
+      sendError(res, "Error updating product", error);
+    }
+  }
+);
+
+// Remove a product from a post
+router.delete("/:productId", protect, async (req, res) => {
+  try {
+    const post = await findUserPost(req);
+    if (!post) return sendPostNotFound(res);
+
+    const product = post.products.id(req.params.productId);
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: "Product not found",
+      });
+    }
+
+    product.deleteOne();
+    await post.save();
+
+    res.json({
+      success: true,
+      message: "Product removed successfully",
+    });
+  } catch (error) {
+    sendError(res, "Error removing product", error);
+  }
+});
+
+module.exports = router;
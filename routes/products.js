@@ -0,0 +1,358 @@
+const express = require("express");
+// Mounted at /api/social/products
+const router = express.Router();
+const { body, validationResult, matchedData } = require("express-validator");
+const Product = require("../models/Product");
+const Post = require("../models/Post");
+const { protect } = require("../middleware/auth");
+const {
+  syncProductToPosts,
+  detachProductFromPosts,
+  getProductClickTotals,
+} = require("../services/productCatalogService");
+const {
+  getFeedItems,
+  toMerchantXml,
+  toMerchantCsv,
+  getProductFeedToken,
+  resetProductFeedToken,
+  findUserByProductFeedToken,
+} = require("../services/productFeedService");
+
+// Title and URL are required when creating a product, optional when updating
+const productValidators = (isUpdate) => {
+  const required = (field) => (isUpdate ? body(field).optional() : body(field));
+
+  return [
+    required("title")
+      .isString()
+      .withMessage("Product title is required")
+      .trim()
+      .notEmpty()
+      .withMessage("Product title is required")
+      .isLength({ max: 200 })
+      .withMessage("Product title cannot be more than 200 characters"),
+    required("url")
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Please provide a valid product URL"),
+    body("image")
+      .optional()
+      // An empty string clears the image
+      .if((value) => value !== "")
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Please provide a valid image URL"),
+    body("price")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Price must be a positive number")
+      .toFloat(),
+    body("currency")
+      .optional()
+      .isString()
+      .trim()
+      .matches(/^([A-Za-z]{3})?$/)
+      .withMessage("Currency must be a 3 letter code such as USD")
+      .toUpperCase(),
+    body("availability")
+      .optional()
+      .isIn(["in_stock", "out_of_stock", "preorder", ""])
+      .withMessage("Availability must be in_stock, out_of_stock or preorder"),
+    body("sku")
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage("SKU cannot be more than 100 characters"),
+    body("tags")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Tags must be a list of at most 20 tags"),
+    body("tags.*")
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage("Tags cannot be empty")
+      .toLowerCase(),
+  ];
+};
+
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: errors.array()[0].msg,
+    errors: errors.array(),
+  });
+  return true;
+};
+
+// Validated product fields sent in the body. null clears the price.
+const getProductInput = (req) => {
+  const data = matchedData(req, {
+    locations: ["body"],
+    includeOptionals: true,
+  });
+  return Object.fromEntries(
+    Object.entries(data).filter(([field]) => field in req.body)
+  );
+};
+
+const sendProductNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    message: "Product not found",
+  });
+
+const sendError = (res, message, error) => {
+  // A malformed id cannot match any product
+  if (error.name === "CastError") {
+    return sendProductNotFound(res);
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// List the catalog, optionally filtered by ?search= (title or SKU) and ?tag=
+router.get("/", protect, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegExp(String(req.query.search)), "i");
+      query.$or = [{ title: pattern }, { sku: pattern }];
+    }
+    if (req.query.tag) {
+      query.tags = String(req.query.tag).toLowerCase();
+    }
+
+    const products = await Product.find(query).sort({ createdAt: -1 }).lean();
+
+    res.json({
+      success: true,
+      products,
+    });
+  } catch (error) {
+    sendError(res, "Error fetching products", error);
+  }
+});
+
+router.post("/", protect, productValidators(false), async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const product = await Product.create({
+      ...getProductInput(req),
+      user: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Product created successfully",
+      data: product,
+    });
+  } catch (error) {
+    sendError(res, "Error creating product", error);
+  }
+});
+
+// Google Merchant Center feeds of the products tagged on a user's posts
+const sendMerchantXml = async (req, res, user) => {
+  const { items } = await getFeedItems(user._id);
+
+  res.type("application/xml").send(
+    toMerchantXml(items, {
+      title: `${user.name || "Shoplinkify"} products`,
+      link: `${req.protocol}://${req.get("host")}`,
+    })
+  );
+};
+
+const sendMerchantCsv = async (res, user) => {
+  const { items } = await getFeedItems(user._id);
+
+  res.type("text/csv").attachment("products.csv").send(toMerchantCsv(items));
+};
+
+// The secret feed URLs to paste into Merchant Center as a scheduled fetch,
+// with the products left out of the feed and why
+const sendFeedInfo = async (req, res, token) => {
+  const feedUrl = `${req.protocol}://${req.get("host")}${
+    req.baseUrl
+  }/feed/${token}`;
+  const { items, skipped } = await getFeedItems(req.user._id);
+
+  res.json({
+    success: true,
+    feed: {
+      xmlUrl: `${feedUrl}/products.xml`,
+      csvUrl: `${feedUrl}/products.csv`,
+      itemCount: items.length,
+      skipped,
+    },
+  });
+};
+
+router.get("/feed", protect, async (req, res) => {
+  try {
+    await sendFeedInfo(req, res, await getProductFeedToken(req.user._id));
+  } catch (error) {
+    sendError(res, "Error fetching product feed", error);
+  }
+});
+
+// New secret feed URLs, for when the old ones were shared by mistake
+router.post("/feed/token", protect, async (req, res) => {
+  try {
+    await sendFeedInfo(req, res, await resetProductFeedToken(req.user._id));
+  } catch (error) {
+    sendError(res, "Error resetting product feed URL", error);
+  }
+});
+
+// Fetched by Merchant Center, which cannot log in, so the token in the URL
+// stands in for the user
+const findFeedOwner = async (req, res) => {
+  const user = await findUserByProductFeedToken(req.params.token);
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: "Product feed not found",
+    });
+  }
+  return user;
+};
+
+router.get("/feed/:token/products.xml", async (req, res) => {
+  try {
+    const user = await findFeedOwner(req, res);
+    if (user) await sendMerchantXml(req, res, user);
+  } catch (error) {
+    sendError(res, "Error building product feed", error);
+  }
+});
+
+router.get("/feed/:token/products.csv", async (req, res) => {
+  try {
+    const user = await findFeedOwner(req, res);
+    if (user) await sendMerchantCsv(res, user);
+  } catch (error) {
+    sendError(res, "Error building product feed", error);
+  }
+});
+
+// Downloads of the same feeds from the dashboard
+router.get("/feed.xml", protect, async (req, res) => {
+  try {
+    await sendMerchantXml(req, res, req.user);
+  } catch (error) {
+    sendError(res, "Error building product feed", error);
+  }
+});
+
+router.get("/feed.csv", protect, async (req, res) => {
+  try {
+    await sendMerchantCsv(res, req.user);
+  } catch (error) {
+    sendError(res, "Error building product feed", error);
+  }
+});
+
+// Clicks per catalog product, summed over the posts that link to it
+router.get("/clicks", protect, async (req, res) => {
+  try {
+    const products = await Product.find({ user: req.user._id })
+      .select("title url image")
+      .lean();
+
+    res.json({
+      success: true,
+      products: await getProductClickTotals(req.user._id, products),
+    });
+  } catch (error) {
+    sendError(res, "Error fetching product clicks", error);
+  }
+});
+
+// A catalog product with the posts that link to it
+router.get("/:productId", protect, async (req, res) => {
+  try {
+    const product = await Product.findOne({
+      _id: req.params.productId,
+      user: req.user._id,
+    }).lean();
+    if (!product) return sendProductNotFound(res);
+
+    const posts = await Post.find({
+      user: req.user._id,
+      $or: [{ product: product._id }, { "products.product": product._id }],
+    })
+      .select("platform url title")
+      .lean();
+
+    res.json({
+      success: true,
+      data: { ...product, posts },
+    });
+  } catch (error) {
+    sendError(res, "Error fetching product", error);
+  }
+});
+
+// Update a product and every post that links to it
+router.patch(
+  "/:productId",
+  protect,
+  productValidators(true),
+  async (req, res) => {
+    try {
+      if (sendValidationErrors(req, res)) return;
+
+      const product = await Product.findOne({
+        _id: req.params.productId,
+        user: req.user._id,
+      });
+      if (!product) return sendProductNotFound(res);
+
+      const previousUrl = product.url;
+      product.set(getProductInput(req));
+      await product.save();
+      await syncProductToPosts(product, product.url !== previousUrl);
+
+      res.json({
+        success: true,
+        message: "Product updated successfully",
+        data: product,
+      });
+    } catch (error) {
+      sendError(res, "Error updating product", error);
+    }
+  }
+);
+
+router.delete("/:productId", protect, async (req, res) => {
+  try {
+    const product = await Product.findOneAndDelete({
+      _id: req.params.productId,
+      user: req.user._id,
+    });
+    if (!product) return sendProductNotFound(res);
+
+    await detachProductFromPosts(product._id);
+
+    res.json({
+      success: true,
+      message: "Product deleted successfully",
+    });
+  } catch (error) {
+    sendError(res, "Error deleting product", error);
+  }
+});
+
+module.exports = router;
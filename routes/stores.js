@@ -0,0 +1,199 @@
+const express = require("express");
+// Mounted at /api/social/stores
+const router = express.Router();
+const StoreConnection = require("../models/StoreConnection");
+const { protect } = require("../middleware/auth");
+const {
+  getStoreProvider,
+  getStoreProviderNames,
+  getConnection,
+  connectStore,
+  searchStoreProducts,
+  importStoreProduct,
+  syncStore,
+} = require("../services/storeService");
+const { linkPostToProduct } = require("../services/productCatalogService");
+
+const MAX_SEARCH_RESULTS = 50;
+
+const sendError = (res, message, error) => {
+  if (!error.statusCode || error.statusCode >= 500) {
+    console.error(`${message}:`, error);
+  }
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: (error.cause || error).message,
+  });
+};
+
+// Rejects unknown providers in /:provider routes
+router.param("provider", (req, res, next, provider) => {
+  if (!getStoreProvider(provider)) {
+    return res.status(404).json({
+      success: false,
+      message: `Unknown store. Must be one of: ${getStoreProviderNames().join(
+        ", "
+      )}`,
+    });
+  }
+  next();
+});
+
+// The user's connected stores, without credentials
+router.get("/", protect, async (req, res) => {
+  try {
+    const connections = await StoreConnection.find({
+      user: req.user._id,
+    }).lean();
+
+    res.json({
+      success: true,
+      stores: connections,
+    });
+  } catch (error) {
+    sendError(res, "Error fetching stores", error);
+  }
+});
+
+// Connect a store, or replace its credentials. Shopify takes storeDomain
+// and accessToken; WooCommerce takes siteUrl, consumerKey and consumerSecret
+router.put("/:provider", protect, async (req, res) => {
+  try {
+    // WooCommerce users know the store as their site URL
+    const storeDomain = req.body.storeDomain || req.body.siteUrl;
+
+    if (!storeDomain) {
+      return res.status(400).json({
+        success: false,
+        message: "storeDomain is required",
+      });
+    }
+
+    const connection = await connectStore(req.user._id, req.params.provider, {
+      ...req.body,
+      storeDomain,
+    });
+
+    res.json({
+      success: true,
+      message: `${getStoreProvider(req.params.provider).label} store connected`,
+      data: connection,
+    });
+  } catch (error) {
+    sendError(res, "Error connecting store", error);
+  }
+});
+
+// Disconnect a store. Catalog products picked from it stay, unsynced.
+router.delete("/:provider", protect, async (req, res) => {
+  try {
+    const deleted = await StoreConnection.findOneAndDelete({
+      user: req.user._id,
+      provider: req.params.provider,
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Store not connected",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Store disconnected",
+    });
+  } catch (error) {
+    sendError(res, "Error disconnecting store", error);
+  }
+});
+
+// Search the store's products, e.g. ?search=linen&limit=10
+router.get("/:provider/products", protect, async (req, res) => {
+  try {
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || 20, 1),
+      MAX_SEARCH_RESULTS
+    );
+
+    const products = await searchStoreProducts(
+      req.user._id,
+      req.params.provider,
+      { search: req.query.search ? String(req.query.search) : "", limit }
+    );
+
+    res.json({
+      success: true,
+      products,
+    });
+  } catch (error) {
+    sendError(res, "Error searching store products", error);
+  }
+});
+
+// Add a store product to the catalog and, with postId, link it to a post
+router.post("/:provider/products/attach", protect, async (req, res) => {
+  try {
+    const { externalId, postId } = req.body;
+
+    if (!externalId) {
+      return res.status(400).json({
+        success: false,
+        message: "externalId of the store product is required",
+      });
+    }
+
+    const product = await importStoreProduct(
+      req.user._id,
+      req.params.provider,
+      String(externalId)
+    );
+
+    let post = null;
+    if (postId) {
+      post = await linkPostToProduct(req.user._id, postId, product);
+      if (!post) {
+        return res.status(404).json({
+          success: false,
+          message: "Post not found or unauthorized",
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      message: post
+        ? "Product linked successfully"
+        : "Product added to the catalog",
+      data: { product, post },
+    });
+  } catch (error) {
+    if (error.name === "CastError") {
+      return res.status(404).json({
+        success: false,
+        message: "Post not found or unauthorized",
+      });
+    }
+    sendError(res, "Error attaching store product", error);
+  }
+});
+
+// Pull current prices and availability now instead of waiting for the
+// scheduled sync
+router.post("/:provider/sync", protect, async (req, res) => {
+  try {
+    const connection = await getConnection(req.user._id, req.params.provider);
+    const summary = await syncStore(connection);
+
+    res.json({
+      success: true,
+      message: "Store products synced",
+      summary,
+    });
+  } catch (error) {
+    sendError(res, "Error syncing store", error);
+  }
+});
+
+module.exports = router;
@@ -11,6 +11,9 @@ const {
   getName,
   getPostCounts,
   updateHeadings,
+  getFeedSlug,
+  checkFeedSlug,
+  updateFeedSlug,
 } = require("../controllers/userController");
 
 // Get user's name
@@ -100,4 +103,27 @@ router.get("/headings", protect, async (req, res) => {
 // @desc    Update user's headings
 router.post("/headings", protect, updateHeadings);
 
+// @route   GET /api/users/feed-slug
+// @desc    Get the slug the user's public feed is shared under
+router.get("/feed-slug", protect, getFeedSlug);
+
+// @route   GET /api/users/feed-slug/availability?slug=
+// @desc    Check whether a feed slug can be used
+router.get("/feed-slug/availability", protect, checkFeedSlug);
+
+// @route   PATCH /api/users/feed-slug
+// @desc    Set or rename the user's feed slug; old slugs keep redirecting
+router.patch(
+  "/feed-slug",
+  protect,
+  [
+    body("feedSlug")
+      .isString()
+      .withMessage("Feed slug is required")
+      .notEmpty()
+      .withMessage("Feed slug is required"),
+  ],
+  updateFeedSlug
+);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+// `npm run migrate:feeds` gives every user a default feed built from the
+// feed settings on User. Users without one also get it at their next login;
+// run this on deploy so users who stay logged in get theirs too.
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { migrateDefaultFeeds } = require("../services/feedService");
+
+mongoose
+  .connect(process.env.MONGODB_URI)
+  .then(async () => {
+    const created = await migrateDefaultFeeds();
+    console.log(`Created ${created} default feeds`);
+  })
+  .catch((err) => {
+    console.error("Feed migration error:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,196 @@
+// Renders the embeddable feed widget served by routes/embed.js. The widget
+// is a standalone HTML page shown in an iframe, so the store theme's CSS
+// cannot break it; loader.js creates the iframe and keeps it sized to fit.
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Only http(s) links end up in href/src attributes
+const safeUrl = (url) => (/^https?:\/\//i.test(url || "") ? url : "");
+
+// Tile placement per layout; the Collage layouts vary which tiles span two
+// rows or columns of the grid
+const LAYOUT_CSS = {
+  Grid: ".feed { gap: 8px; }",
+  "No Gutter": ".feed { gap: 0; } .tile { border-radius: 0; }",
+  Highlight:
+    ".feed { gap: 8px; } .tile:first-child { grid-column: span 2; grid-row: span 2; }",
+  Slideshow: `
+    .feed { display: flex; gap: 0; overflow: hidden; scroll-snap-type: x mandatory; }
+    .tile { flex: 0 0 100%; scroll-snap-align: start; }
+    .nav { display: flex; }`,
+  Collage1:
+    ".feed { gap: 6px; grid-template-columns: repeat(4, 1fr); } .tile:nth-child(6n + 1) { grid-column: span 2; grid-row: span 2; }",
+  Collage2:
+    ".feed { gap: 6px; grid-template-columns: repeat(4, 1fr); } .tile:nth-child(5n + 1) { grid-row: span 2; } .tile:nth-child(5n + 4) { grid-column: span 2; }",
+  Collage3: ".feed { gap: 6px; } .tile:nth-child(4n + 2) { grid-row: span 2; }",
+  Collage4:
+    ".feed { gap: 6px; grid-template-columns: repeat(4, 1fr); } .tile:nth-child(7n + 1), .tile:nth-child(7n + 5) { grid-column: span 2; grid-row: span 2; }",
+  Collage5:
+    ".feed { display: block; column-count: 3; column-gap: 6px; } .tile { margin-bottom: 6px; break-inside: avoid; aspect-ratio: auto; } .tile:nth-child(3n + 1) img { aspect-ratio: 3 / 4; }",
+};
+
+const BASE_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #111; background: transparent; }
+  .widget { position: relative; padding: 16px 0; }
+  .heading { margin: 0 0 4px; text-align: center; font-size: 24px; }
+  .subheading { margin: 0 0 16px; text-align: center; color: #555; font-size: 15px; }
+  .feed { display: grid; grid-template-columns: repeat(3, 1fr); grid-auto-flow: dense; }
+  .tile { position: relative; display: block; overflow: hidden; border-radius: 6px; aspect-ratio: 1; background: #f2f2f2; }
+  .tile.vertical { aspect-ratio: 9 / 16; }
+  .tile > a > img { display: block; width: 100%; height: 100%; object-fit: cover; }
+  .badge { position: absolute; top: 8px; left: 8px; padding: 2px 6px; border-radius: 4px; background: rgba(0, 0, 0, 0.55); color: #fff; font-size: 11px; text-transform: capitalize; }
+  .hotspot { position: absolute; width: 22px; height: 22px; margin: -11px 0 0 -11px; border: 2px solid #fff; border-radius: 50%; background: rgba(0, 0, 0, 0.6); }
+  .hotspot span { display: none; position: absolute; top: 24px; left: 50%; transform: translateX(-50%); white-space: nowrap; padding: 4px 8px; border-radius: 4px; background: #fff; color: #111; font-size: 12px; text-decoration: none; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.25); }
+  .hotspot:hover span, .hotspot:focus span { display: block; }
+  .card { position: absolute; right: 8px; bottom: 8px; left: 8px; display: flex; gap: 8px; align-items: center; padding: 6px; border-radius: 6px; background: rgba(255, 255, 255, 0.92); color: #111; font-size: 12px; text-decoration: none; }
+  .card img { width: 36px; height: 36px; border-radius: 4px; object-fit: cover; }
+  .card strong { display: block; }
+  .nav { display: none; justify-content: center; gap: 8px; margin-top: 8px; }
+  .nav button { padding: 6px 12px; border: 1px solid #ccc; border-radius: 4px; background: #fff; cursor: pointer; }
+  .empty { text-align: center; color: #777; }
+  @media (max-width: 600px) {
+    .feed { grid-template-columns: repeat(2, 1fr); }
+    .feed { column-count: 2; }
+  }
+`;
+
+const formatPrice = (price, currency) =>
+  price === null || price === undefined
+    ? ""
+    : `${currency ? `${currency} ` : ""}${Number(price).toFixed(2)}`;
+
+const renderHotspot = (product) => {
+  const url = escapeHtml(product.url);
+  const label = escapeHtml(
+    `${product.name} ${formatPrice(product.price, product.currency)}`
+  );
+  const position = `left: ${product.x * 100}%; top: ${product.y * 100}%`;
+  return `
+        <a class="hotspot" href="${url}" target="_blank" rel="noopener" style="${position}">
+          <span>${label}</span>
+        </a>`;
+};
+
+const renderHotspots = (products) =>
+  products
+    .filter(
+      (product) =>
+        product.x !== null && product.y !== null && safeUrl(product.url)
+    )
+    .map(renderHotspot)
+    .join("");
+
+const renderImage = (url) =>
+  url ? `<img src="${escapeHtml(url)}" alt="" loading="lazy">` : "";
+
+const renderProductCard = (card) => {
+  if (!card || !safeUrl(card.url) || !card.title) return "";
+  const url = escapeHtml(card.url);
+  const title = escapeHtml(card.title);
+  const price = escapeHtml(formatPrice(card.price, card.currency));
+  return `
+        <a class="card" href="${url}" target="_blank" rel="noopener">
+          ${renderImage(safeUrl(card.image))}
+          <span><strong>${title}</strong>${price}</span>
+        </a>`;
+};
+
+const renderTile = (post) => {
+  const image = safeUrl(post.imageUrl);
+  const link = safeUrl(post.url);
+  const vertical = post.isShort || post.platform === "tiktok";
+  return `
+      <div class="tile${vertical ? " vertical" : ""}">
+        <a href="${escapeHtml(link)}" target="_blank" rel="noopener">
+          ${renderImage(image)}
+        </a>
+        <span class="badge">${escapeHtml(post.platform)}</span>
+        ${renderHotspots(post.products || [])}
+        ${renderProductCard(post.productCard)}
+      </div>`;
+};
+
+// Resizes the iframe to the widget's height and runs the slideshow arrows
+const WIDGET_SCRIPT = `
+  (function () {
+    var widget = document.querySelector(".widget");
+    var feed = document.querySelector(".feed");
+    function sendHeight() {
+      parent.postMessage({ type: "shoplinkify:resize", height: widget.offsetHeight }, "*");
+    }
+    if (window.ResizeObserver) new ResizeObserver(sendHeight).observe(widget);
+    window.addEventListener("load", sendHeight);
+    document.querySelectorAll(".nav button").forEach(function (button) {
+      button.addEventListener("click", function () {
+        feed.scrollBy({ left: feed.clientWidth * Number(button.dataset.step), behavior: "smooth" });
+      });
+    });
+  })();
+`;
+
+// The widget page for a feed built by services/feedService.js
+const renderFeedWidget = (feed) => {
+  const layoutCss = LAYOUT_CSS[feed.layout] || LAYOUT_CSS.Grid;
+  const tiles = feed.posts.map(renderTile).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(feed.mainHeading)}</title>
+  <style>${BASE_CSS}${layoutCss}</style>
+</head>
+<body>
+  <div class="widget">
+    <h2 class="heading">${escapeHtml(feed.mainHeading)}</h2>
+    <p class="subheading">${escapeHtml(feed.subHeading)}</p>
+    ${
+      tiles
+        ? `<div class="feed">${tiles}
+    </div>`
+        : '<p class="empty">No posts yet</p>'
+    }
+    <div class="nav">
+      <button type="button" data-step="-1" aria-label="Previous">&larr;</button>
+      <button type="button" data-step="1" aria-label="Next">&rarr;</button>
+    </div>
+  </div>
+  <script>${WIDGET_SCRIPT}</script>
+</body>
+</html>
+`;
+};
+
+// The one-line snippet shop owners paste into their theme:
+//   <script src="https://<api host>/embed/loader.js" data-user="<feedSlug>" async></script>
+// or, to show one of the user's other feeds, data-feed="<feedId>" instead.
+// It inserts the widget iframe where the script tag is, loading it from the
+// same origin as the script so it works behind any proxy or custom domain.
+const LOADER_SCRIPT = `(function () {
+  var script = document.currentScript;
+  if (!script || !(script.dataset.feed || script.dataset.user)) return;
+  var path = script.dataset.feed ? "/embed/feeds/" + encodeURIComponent(script.dataset.feed) : "/embed/" + encodeURIComponent(script.dataset.user);
+  var frame = document.createElement("iframe");
+  frame.src = new URL(script.src).origin + path;
+  frame.title = "Shoppable feed";
+  frame.loading = "lazy";
+  frame.style.cssText = "display:block;width:100%;height:600px;border:0;overflow:hidden";
+  frame.setAttribute("scrolling", "no");
+  script.parentNode.insertBefore(frame, script.nextSibling);
+  window.addEventListener("message", function (event) {
+    var data = event.data;
+    if (event.source !== frame.contentWindow || !data || data.type !== "shoplinkify:resize") return;
+    frame.style.height = data.height + "px";
+  });
+})();
+`;
+
+module.exports = { renderFeedWidget, LOADER_SCRIPT, escapeHtml };
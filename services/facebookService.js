@@ -0,0 +1,629 @@
+const cheerio = require("cheerio");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+
+const pageHeaders = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+  Accept:
+    "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8,application/signed-exchange;v=b3;q=0.7",
+  "Accept-Language": "en-US,en;q=0.9",
+  "Accept-Encoding": "gzip, deflate, br",
+  Referer: "https://www.facebook.com/",
+  "Cache-Control": "no-cache",
+  Pragma: "no-cache",
+  DNT: "1",
+  Connection: "keep-alive",
+  "Upgrade-Insecure-Requests": "1",
+  "Sec-Fetch-Dest": "document",
+  "Sec-Fetch-Mode": "navigate",
+  "Sec-Fetch-Site": "same-origin",
+  "Sec-Fetch-User": "?1",
+  "sec-ch-ua":
+    '"Not_A Brand";v="8", "Chromium";v="120", "Google Chrome";v="120"',
+  "sec-ch-ua-mobile": "?0",
+  "sec-ch-ua-platform": '"Windows"',
+};
+
+// Finds the post image in a Facebook page with simple regexes: the
+// og:image tag, then known image classes, then any image URL
+const findFacebookImageUrl = (html) => {
+  // Try to find the image URL in meta tags first
+  const metaImageMatch = html.match(
+    /<meta[^>]*property="og:image"[^>]*content="([^"]*)"/i
+  );
+  if (metaImageMatch && metaImageMatch[1]) {
+    const imageUrl = metaImageMatch[1].replace(/&amp;/g, "&");
+    console.log("Found image URL in meta tags:", imageUrl);
+    return imageUrl;
+  }
+
+  // If meta tag not found, try to find the image in the HTML content
+  const imageMatch = html.match(
+    /<img[^>]*src="([^"]*)"[^>]*class="[^"]*scaledImageFitWidth[^"]*"/i
+  );
+  if (imageMatch && imageMatch[1]) {
+    const imageUrl = imageMatch[1].replace(/&amp;/g, "&");
+    console.log("Found image URL in HTML content:", imageUrl);
+    return imageUrl;
+  }
+
+  // If still not found, try to find any image with specific Facebook classes
+  const fallbackImageMatch = html.match(
+    /<img[^>]*src="([^"]*)"[^>]*class="[^"]*x1ey2m1c[^"]*"/i
+  );
+  if (fallbackImageMatch && fallbackImageMatch[1]) {
+    const imageUrl = fallbackImageMatch[1].replace(/&amp;/g, "&");
+    console.log("Found fallback image URL:", imageUrl);
+    return imageUrl;
+  }
+
+  // Try to find any image URL in the page
+  const anyImageMatch = html.match(
+    /https:\/\/[^"']*\.(?:jpg|jpeg|png|gif|webp)[^"']*/i
+  );
+  if (anyImageMatch) {
+    const imageUrl = anyImageMatch[0].replace(/&amp;/g, "&");
+    console.log("Found general image URL:", imageUrl);
+    return imageUrl;
+  }
+
+  console.log("No suitable image URL found in the Facebook post");
+  return null;
+};
+
+// Post, photo, video, reel, watch, share and fb.watch URLs
+const FACEBOOK_POST_URL_PATTERN =
+  /^https?:\/\/((www|m|web)\.)?(facebook|fb)\.com\/[a-zA-Z0-9.]+\/(posts|photos)\/|^https?:\/\/((www|m|web)\.)?(facebook|fb)\.com\/share\/[pvr]\/[a-zA-Z0-9_-]+\/?|^https?:\/\/((www|m|web)\.)?(facebook|fb)\.com\/[a-zA-Z0-9.]+\/videos\/([^/?#]+\/)?[0-9]+\/?|^https?:\/\/((www|m|web)\.)?facebook\.com\/reel\/[0-9]+|^https?:\/\/((www|m|web)\.)?facebook\.com\/watch\/?\?(.*&)?v=[0-9]+|^https?:\/\/(www\.)?fb\.watch\/[a-zA-Z0-9_-]+/i;
+
+const isFacebookVideoUrl = (url) =>
+  /\/reel\/|\/watch\/?\?|\/videos\/|\/share\/[vr]\/|fb\.watch\//i.test(url);
+
+// Reduces a reel, watch or /videos/ URL to one form, so the same video is
+// only stored once. Other URLs are returned unchanged.
+const getCanonicalFacebookUrl = (url) => {
+  const reelMatch = url.match(/facebook\.com\/reel\/(\d+)/i);
+  if (reelMatch) {
+    return `https://www.facebook.com/reel/${reelMatch[1]}`;
+  }
+
+  const watchMatch = url.match(/facebook\.com\/watch\/?\?(?:.*&)?v=(\d+)/i);
+  if (watchMatch) {
+    return `https://www.facebook.com/watch/?v=${watchMatch[1]}`;
+  }
+
+  const videoMatch = url.match(
+    /facebook\.com\/([a-zA-Z0-9.]+)\/videos\/(?:[^/?#]+\/)?(\d+)/i
+  );
+  if (videoMatch) {
+    return `https://www.facebook.com/${videoMatch[1]}/videos/${videoMatch[2]}/`;
+  }
+
+  return url;
+};
+
+// Facebook's video plugin plays any public video, reel or watch URL
+const getVideoEmbedCode = (videoUrl) =>
+  `<iframe src="https://www.facebook.com/plugins/video.php?href=${encodeURIComponent(
+    videoUrl
+  )}&show_text=false&width=560" width="560" height="315" style="border:none;overflow:hidden" scrolling="no" frameborder="0" allowfullscreen="true" allow="autoplay; clipboard-write; encrypted-media; picture-in-picture; web-share"></iframe>`;
+
+const decodeJsonString = (value) => {
+  try {
+    return JSON.parse(`"${value}"`);
+  } catch (error) {
+    return null;
+  }
+};
+
+// og:video is often the player page rather than the file itself
+const isPlayableSource = (url) => /fbcdn\.net|\.mp4(\?|$)/i.test(url || "");
+
+// Returns the playable source and poster frame of a video page, read from
+// og:video tags or the playable_url fields of the page's inline JSON
+const findFacebookVideo = (html) => {
+  const $ = cheerio.load(html);
+  let videoUrl =
+    [
+      $('meta[property="og:video:secure_url"]').attr("content"),
+      $('meta[property="og:video:url"]').attr("content"),
+      $('meta[property="og:video"]').attr("content"),
+    ].find(isPlayableSource) || null;
+
+  if (!videoUrl) {
+    // Highest quality first
+    const sourceKeys = [
+      "browser_native_hd_url",
+      "playable_url_quality_hd",
+      "browser_native_sd_url",
+      "playable_url",
+    ];
+    for (const key of sourceKeys) {
+      const match = html.match(new RegExp(`"${key}":"([^"]+)"`));
+      videoUrl = match ? decodeJsonString(match[1]) : null;
+      if (videoUrl) break;
+    }
+  }
+
+  const posterMatch = html.match(
+    /"preferred_thumbnail":\{"image":\{"uri":"([^"]+)"/
+  );
+
+  return {
+    videoUrl,
+    posterUrl: posterMatch ? decodeJsonString(posterMatch[1]) : null,
+  };
+};
+
+// Picks the post image out of a Facebook page: og:image first, then page
+// images, video posters, JSON-LD and finally any fbcdn image URL. Returns
+// the image with cropping params removed, the page's og meta tags and its
+// title/description.
+// Throws a 404 error when no image is found.
+const parseFacebookPage = (html, isVideoPost) => {
+  let imageUrl = null;
+  let extractionMethod = "";
+
+  // Try to extract image URL from meta tags first
+  const $ = cheerio.load(html);
+
+  // Enhanced meta tag extraction with detailed logging
+  const metaTags = {};
+  $("meta").each((i, meta) => {
+    const property = $(meta).attr("property");
+    const content = $(meta).attr("content");
+    if (property && content) {
+      metaTags[property] = content;
+    }
+  });
+
+  // Check for video thumbnail specifically
+  if (isVideoPost) {
+    // Try og:image first for videos
+    imageUrl = metaTags["og:image"];
+    if (imageUrl) {
+      extractionMethod = "og_image_video";
+    }
+  } else {
+    // Standard processing for non-video URLs
+    imageUrl = $('meta[property="og:image"]').attr("content");
+    if (imageUrl) {
+      extractionMethod = "og_image";
+    }
+  }
+
+  // If no image found in meta tags, try to find it in the HTML content
+  if (!imageUrl) {
+    const imgElements = $("img");
+
+    for (const img of imgElements) {
+      const src = $(img).attr("src");
+
+      if (src) {
+        if (
+          src.includes("scontent") ||
+          src.includes("fbcdn") ||
+          src.includes("facebook.com/images")
+        ) {
+          imageUrl = src;
+          extractionMethod = "html_content";
+          break;
+        }
+      }
+    }
+  }
+
+  // For video share URLs, try to find video poster or preview image if still no image
+  if (!imageUrl && isVideoPost) {
+    // Look for video elements
+    const videoElements = $("video");
+
+    for (const video of videoElements) {
+      const poster = $(video).attr("poster");
+      if (poster) {
+        imageUrl = poster;
+        extractionMethod = "video_poster";
+        break;
+      }
+    }
+
+    // Look for the thumbnail in the page's video JSON
+    if (!imageUrl) {
+      imageUrl = findFacebookVideo(html).posterUrl;
+      if (imageUrl) {
+        extractionMethod = "video_thumbnail_json";
+      }
+    }
+
+    // Look for specific video container elements
+    if (!imageUrl) {
+      $("[data-video-id]").each((i, el) => {
+        const style = $(el).attr("style");
+
+        if (style && style.includes("background-image")) {
+          const bgMatch = style.match(
+            /background-image: ?url\(['"]?([^'")]+)['"]?\)/i
+          );
+          if (bgMatch && bgMatch[1]) {
+            imageUrl = bgMatch[1];
+            extractionMethod = "video_container_bg";
+            return false; // Break each loop
+          }
+        }
+      });
+    }
+  }
+
+  // If still no image found, try JSON-LD for structured data
+  if (!imageUrl) {
+    $('script[type="application/ld+json"]').each((i, script) => {
+      try {
+        const jsonLd = JSON.parse($(script).html());
+
+        if (jsonLd.image) {
+          if (Array.isArray(jsonLd.image) && jsonLd.image.length > 0) {
+            imageUrl = jsonLd.image[0];
+          } else if (typeof jsonLd.image === "string") {
+            imageUrl = jsonLd.image;
+          }
+
+          if (imageUrl) {
+            extractionMethod = "json_ld";
+          }
+        }
+      } catch (error) {
+        // Silently continue on parse error
+      }
+    });
+  }
+
+  // Last resort: look for any image URL in the HTML that matches Facebook CDN patterns
+  if (!imageUrl) {
+    const fbcdnPattern =
+      /https:\/\/[a-z0-9-]+\.fbcdn\.net\/[a-z0-9_\/.]+\.(?:jpg|jpeg|png|gif)/gi;
+    const matches = html.match(fbcdnPattern);
+
+    if (matches && matches.length > 0) {
+      // Use the first match that's not a tiny image (profile pics, etc.)
+      for (const match of matches) {
+        // Prefer larger images that don't contain typical small image patterns
+        if (
+          !match.includes("profile") &&
+          !match.includes("_s.") &&
+          !match.includes("emoji")
+        ) {
+          imageUrl = match;
+          extractionMethod = "fbcdn_regex_match";
+          break;
+        }
+      }
+
+      // If we didn't find a preferred image, just use the first one
+      if (!imageUrl && matches.length > 0) {
+        imageUrl = matches[0];
+        extractionMethod = "fbcdn_regex_first_match";
+      }
+    }
+  }
+
+  if (!imageUrl) {
+    throw createHttpError(404, "Could not find image for the Facebook post");
+  }
+
+  if (imageUrl.startsWith("//")) {
+    imageUrl = "https:" + imageUrl;
+  }
+
+  // Clean up the URL
+  imageUrl = imageUrl
+    .replace(/\/s\d+x\d+\//, "/")
+    .replace(/\/c\d+\.\d+\.\d+\.\d+\//, "/")
+    .replace(/\/e\d+\//, "/")
+    .replace(/\/[a-z]\d+x\d+\//, "/")
+    .replace(/\/(vp|p|s)[0-9]+x[0-9]+(_[0-9]+)?\//, "/")
+    .replace(/\/p[0-9]+x[0-9]+\//, "/")
+    .replace(/[\?&]se=\d+/, "")
+    .replace(/[\?&]sh=\d+/, "")
+    .replace(/[\?&]sw=\d+/, "")
+    .replace(/[\?&]quality=\d+/, "")
+    .replace(/\?_nc_ht.*$/, "")
+    .replace(/\?_nc_cat.*$/, "")
+    .replace(/\?igshid.*$/, "")
+    .replace(/\?_nc_.*$/, "");
+
+  return {
+    imageUrl,
+    extractionMethod,
+    metaTags,
+    title:
+      metaTags["og:title"] ||
+      $('meta[name="twitter:title"]').attr("content") ||
+      "",
+    description:
+      metaTags["og:description"] ||
+      $('meta[name="description"]').attr("content") ||
+      "",
+  };
+};
+
+const getVideoFields = (videoUrl, isVideoPost, videoPath) => ({
+  mediaType: isVideoPost ? "video" : "image",
+  videoPath: videoPath || "",
+  embedCode: isVideoPost ? getVideoEmbedCode(videoUrl) : "",
+});
+
+// Builds the Facebook service. `http` and `upload` default to the shared
+// HTTP client and Cloudinary upload; pass stubs to run offline.
+const createFacebookService = ({
+  http = defaultHttp,
+  upload = uploadFile,
+} = {}) => {
+  // Helper function to extract Facebook image URL
+  const extractFacebookImageUrl = async (url) => {
+    try {
+      console.log("Starting Facebook image extraction for URL:", url);
+
+      // First try to get the image from the meta tags
+      const response = await http.get(url, {
+        headers: {
+          "User-Agent":
+            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+          Accept:
+            "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+          "Accept-Language": "en-US,en;q=0.9",
+          "Cache-Control": "no-cache",
+          Pragma: "no-cache",
+          DNT: "1",
+          Connection: "keep-alive",
+          "Upgrade-Insecure-Requests": "1",
+        },
+        timeout: 10000,
+        maxRedirects: 5,
+      });
+
+      const html = response.data;
+      console.log("Successfully fetched Facebook page HTML");
+
+      return findFacebookImageUrl(html);
+    } catch (error) {
+      console.error("Error extracting Facebook image URL:", error.message);
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error("Response headers:", error.response.headers);
+      }
+      return null;
+    }
+  };
+
+  const extract = async ({ url: postUrl, upload: uploadImage = upload }) => {
+    if (!FACEBOOK_POST_URL_PATTERN.test(postUrl)) {
+      throw createHttpError(
+        400,
+        "Invalid Facebook URL. Must be a post, photo, video, reel, watch, or share URL"
+      );
+    }
+
+    let canonicalUrl = getCanonicalFacebookUrl(postUrl);
+    let isVideoPost = isFacebookVideoUrl(postUrl);
+
+    try {
+      const response = await http.get(postUrl, {
+        headers: pageHeaders,
+        timeout: 15000,
+        maxRedirects: 5,
+      });
+      const { data } = response;
+
+      // fb.watch and share links redirect to the post's own URL
+      const resolvedUrl = response.request?.res?.responseUrl;
+      if (
+        resolvedUrl &&
+        resolvedUrl !== postUrl &&
+        FACEBOOK_POST_URL_PATTERN.test(resolvedUrl) &&
+        !/fb\.watch\/|\/share\//i.test(resolvedUrl)
+      ) {
+        console.log("Resolved Facebook URL to:", resolvedUrl);
+        canonicalUrl = getCanonicalFacebookUrl(resolvedUrl);
+        isVideoPost = isVideoPost || isFacebookVideoUrl(resolvedUrl);
+      }
+
+      const { imageUrl, extractionMethod, metaTags, title, description } =
+        parseFacebookPage(data, isVideoPost);
+      const video = isVideoPost ? findFacebookVideo(data) : {};
+
+      // Facebook CDN URLs have anti-hotlinking measures, directly save the URL
+      // instead of trying to download and reupload (which likely results in 403 errors)
+      let cloudinaryImageUrl = "";
+      const fbImageHostnames = ["scontent", "fbcdn", "facebook.com"];
+      const isFacebookCDNImage = fbImageHostnames.some((host) =>
+        imageUrl.includes(host)
+      );
+
+      if (isFacebookCDNImage) {
+        try {
+          // Simple approach: Try to download image with enhanced headers
+          const response = await http.request({
+            method: "GET",
+            url: imageUrl,
+            responseType: "arraybuffer",
+            timeout: 15000,
+            headers: {
+              "User-Agent":
+                "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0.3 Mobile/15E148 Safari/604.1",
+              Accept: "image/webp,image/png,image/svg+xml,image/*;q=0.8",
+              "Accept-Language": "en-US,en;q=0.9",
+              Origin: "https://www.facebook.com",
+              Referer: postUrl,
+              "sec-fetch-dest": "image",
+              "sec-fetch-mode": "no-cors",
+              "sec-fetch-site": "cross-site",
+            },
+          });
+
+          if (response.data && response.data.length > 1000) {
+            // Upload to Cloudinary using standard method
+            cloudinaryImageUrl = await uploadImage(
+              Buffer.from(response.data),
+              () => {}
+            );
+          } else {
+            throw new Error(
+              "Facebook image download returned insufficient data"
+            );
+          }
+        } catch (downloadError) {
+          // Fallback to original OG image URL without any modifications
+          if (isVideoPost) {
+            try {
+              // Try downloading the preview image from Facebook
+              // For video content, we use the OG image url directly with no modifications
+              const videoImageUrl = metaTags["og:image"];
+
+              if (videoImageUrl) {
+                const videoResponse = await http.request({
+                  method: "GET",
+                  url: videoImageUrl,
+                  responseType: "arraybuffer",
+                  timeout: 15000,
+                  headers: {
+                    "User-Agent":
+                      "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15",
+                    Accept: "image/webp,image/png,image/svg+xml,image/*;q=0.8",
+                    "Accept-Language": "en-US,en;q=0.9",
+                    Origin: "https://www.facebook.com",
+                    Referer: postUrl,
+                  },
+                });
+
+                if (videoResponse.data && videoResponse.data.length > 1000) {
+                  // Upload to Cloudinary
+                  cloudinaryImageUrl = await uploadImage(
+                    Buffer.from(videoResponse.data),
+                    () => {}
+                  );
+                } else {
+                  throw new Error(
+                    "Video image download returned insufficient data"
+                  );
+                }
+              } else {
+                throw new Error("No OG image URL found for video content");
+              }
+            } catch (videoError) {
+              // If all else fails, use Facebook logo
+              cloudinaryImageUrl =
+                "https://static.xx.fbcdn.net/rsrc.php/v3/y4/r/-PAXP-deijE.gif";
+            }
+          } else {
+            // Non-video content, use original URL
+            cloudinaryImageUrl = imageUrl;
+          }
+        }
+      } else {
+        // For non-Facebook CDN images, try direct download
+        try {
+          // Download the image
+          const response = await http.request({
+            method: "GET",
+            url: imageUrl,
+            responseType: "arraybuffer",
+            timeout: 10000,
+            headers: {
+              "User-Agent":
+                "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36",
+              Referer: "https://www.facebook.com/",
+              Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+            },
+          });
+
+          // Upload to Cloudinary using the buffer directly
+          cloudinaryImageUrl = await uploadImage(
+            Buffer.from(response.data),
+            () => {}
+          );
+        } catch (uploadError) {
+          // Fallback to original image URL if Cloudinary upload fails
+          cloudinaryImageUrl = imageUrl;
+        }
+      }
+
+      return {
+        post: {
+          url: canonicalUrl,
+          imageUrl: cloudinaryImageUrl || imageUrl,
+          title,
+          description,
+          ...getVideoFields(canonicalUrl, isVideoPost, video.videoUrl),
+        },
+        extractionMethod: extractionMethod,
+        message: isVideoPost
+          ? "Facebook video added successfully"
+          : "Facebook post image added successfully",
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+
+      // If all methods fail, use a Facebook logo as fallback
+      const fallbackImageUrl =
+        "https://static.xx.fbcdn.net/rsrc.php/v3/y4/r/-PAXP-deijE.gif";
+
+      return {
+        post: {
+          url: canonicalUrl,
+          imageUrl: fallbackImageUrl,
+          title: "",
+          description: "",
+          // The embed player still works when the page could not be scraped
+          ...getVideoFields(canonicalUrl, isVideoPost, null),
+        },
+        extractionMethod: "fallback_logo",
+        message: "Facebook post added with fallback image",
+      };
+    }
+  };
+
+  // Facebook video sources are signed CDN URLs that expire; returns a fresh
+  // one when the saved URL no longer serves a video
+  const refreshVideoPath = async (post) => {
+    try {
+      const response = await http.head(post.videoPath, {
+        headers: {
+          ...browserHeaders.video,
+          Referer: "https://www.facebook.com/",
+        },
+        validateStatus: function (status) {
+          return status < 500;
+        },
+        timeout: 5000,
+      });
+      if (
+        response.status < 400 &&
+        response.headers["content-type"]?.includes("video")
+      ) {
+        return post.videoPath;
+      }
+    } catch (error) {
+      console.error("Error checking Facebook video URL:", error.message);
+    }
+
+    console.log("Facebook video URL expired, fetching a fresh one");
+    const { data } = await http.get(post.url, {
+      headers: pageHeaders,
+      timeout: 15000,
+      maxRedirects: 5,
+    });
+    return findFacebookVideo(data).videoUrl || post.videoPath;
+  };
+
+  return { extract, extractFacebookImageUrl, refreshVideoPath };
+};
+
+module.exports = {
+  createFacebookService,
+  FACEBOOK_POST_URL_PATTERN,
+  getCanonicalFacebookUrl,
+  findFacebookImageUrl,
+  findFacebookVideo,
+  parseFacebookPage,
+};
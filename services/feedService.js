@@ -0,0 +1,225 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Feed = require("../models/Feed");
+const {
+  toFeedItem,
+  getEnabledPlatforms,
+  getDefaultSelectedPlatforms,
+} = require("../platforms");
+
+// Feed fields a user can edit
+const FEED_FIELDS = [
+  "name",
+  "layout",
+  "postsCount",
+  "mainHeading",
+  "subHeading",
+  "platforms",
+  "posts",
+];
+
+// Puts posts in the order of the feed's post ids, skipping ids whose post
+// was not found, and keeps the first `limit`
+const orderFeedPosts = (postIds, posts, limit) => {
+  const postsById = new Map(posts.map((post) => [String(post._id), post]));
+  return postIds
+    .map((id) => postsById.get(String(id)))
+    .filter(Boolean)
+    .slice(0, limit);
+};
+
+// A feed in the public feed format
+const toPublicFeed = (feed, posts, feedSlug = null) => ({
+  feedId: feed._id,
+  name: feed.name,
+  feedSlug,
+  mainHeading: feed.mainHeading || "Enter Main heading",
+  subHeading: feed.subHeading || "Enter Sub heading",
+  layout: feed.layout || "Grid",
+  postsCount: feed.postsCount || "6",
+  platforms: feed.platforms || getDefaultSelectedPlatforms(false),
+  posts: posts.map(toFeedItem),
+});
+
+// The feed's posts that are still available on its enabled platforms, the
+// first `limit` of them (by default the feed's posts count)
+const getFeedPosts = async (feed, limit = parseInt(feed.postsCount || "6")) => {
+  const posts = await Post.find({
+    _id: { $in: feed.posts },
+    user: feed.user,
+    platform: { $in: getEnabledPlatforms(feed.platforms) },
+    unavailable: { $ne: true },
+  }).lean();
+
+  return orderFeedPosts(feed.posts, posts, limit);
+};
+
+// Fields of the default feed for a user who only has the settings on User:
+// their layout, headings and platforms, and their selected posts newest first
+const getDefaultFeedFields = async (user) => {
+  const selected = await Post.find({ user: user._id, selected: true })
+    .sort({ addedAt: -1 })
+    .select("_id")
+    .lean();
+
+  return {
+    user: user._id,
+    name: "Main feed",
+    isDefault: true,
+    layout: user.feedSettings?.layout || "Grid",
+    postsCount: user.feedSettings?.postsCount || "6",
+    mainHeading: user.mainHeading,
+    subHeading: user.subHeading,
+    platforms: user.selectedPlatforms || getDefaultSelectedPlatforms(),
+    posts: selected.map((post) => post._id),
+  };
+};
+
+// Returns the user's default feed, creating it from their User settings the
+// first time. Called at login and by the migration, never from public
+// routes. Returns { feed, created }.
+const ensureDefaultFeed = async (user) => {
+  const existing = await Feed.findOne({ user: user._id, isDefault: true });
+  if (existing) return { feed: existing, created: false };
+
+  try {
+    const feed = await Feed.create(await getDefaultFeedFields(user));
+    return { feed, created: true };
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) {
+      const feed = await Feed.findOne({ user: user._id, isDefault: true });
+      return { feed, created: false };
+    }
+    throw error;
+  }
+};
+
+// One-off migration: gives every user without one a default feed.
+// Returns the number of feeds created.
+const migrateDefaultFeeds = async () => {
+  let created = 0;
+  for await (const user of User.find().cursor()) {
+    if ((await ensureDefaultFeed(user)).created) created++;
+  }
+  return created;
+};
+
+// The legacy single-feed routes keep working by editing the default feed
+const updateDefaultFeed = (userId, fields) =>
+  Feed.updateOne({ user: userId, isDefault: true }, { $set: fields });
+
+// Adds a newly selected post to the top of the default feed
+const addPostToDefaultFeed = (userId, postId) =>
+  Feed.updateOne(
+    { user: userId, isDefault: true, posts: { $ne: postId } },
+    { $push: { posts: { $each: [postId], $position: 0 } } }
+  );
+
+// Removes a post from the default feed, or from every feed of the user
+// when the post itself is gone
+const removePostFromFeeds = (userId, postId, { defaultOnly = false } = {}) =>
+  Feed.updateMany(
+    defaultOnly ? { user: userId, isDefault: true } : { user: userId },
+    { $pull: { posts: postId } }
+  );
+
+// User fields the default feed's settings were migrated from
+const USER_SETTING_PATHS = {
+  layout: "feedSettings.layout",
+  postsCount: "feedSettings.postsCount",
+  mainHeading: "mainHeading",
+  subHeading: "subHeading",
+  platforms: "selectedPlatforms",
+};
+
+// Update paths for edited fields, using `pathFor` to name each field's path
+// and skipping fields it returns nothing for. Platform toggles are set one
+// by one, so toggles that were not sent keep their value.
+const toUpdatePaths = (fields, pathFor) => {
+  const update = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    const path = pathFor(field);
+    if (!path) return;
+    if (field === "platforms") {
+      Object.entries(value).forEach(([name, enabled]) => {
+        update[`${path}.${name}`] = enabled;
+      });
+    } else {
+      update[path] = value;
+    }
+  });
+  return update;
+};
+
+// The dashboard lists the selected posts, so a post is selected exactly when
+// it is in the default feed
+const syncSelectedPosts = async (userId, postIds) => {
+  await Post.updateMany(
+    { user: userId, _id: { $in: postIds }, selected: { $ne: true } },
+    { selected: true }
+  );
+  await Post.updateMany(
+    { user: userId, _id: { $nin: postIds }, selected: true },
+    { selected: false }
+  );
+};
+
+// Applies validated FEED_FIELDS to a feed and returns the updated feed. The
+// default feed's settings are copied back to User, and its posts to
+// Post.selected, for the legacy single-feed routes.
+const updateFeed = async (feed, fields) => {
+  const update = toUpdatePaths(fields, (field) => field);
+  const userUpdate = toUpdatePaths(
+    fields,
+    (field) => USER_SETTING_PATHS[field]
+  );
+
+  const updated = await Feed.findByIdAndUpdate(
+    feed._id,
+    { $set: update },
+    { new: true, runValidators: true }
+  );
+  if (feed.isDefault && Object.keys(userUpdate).length) {
+    await User.updateOne({ _id: feed.user }, { $set: userUpdate });
+  }
+  if (feed.isDefault && fields.posts) {
+    await syncSelectedPosts(feed.user, fields.posts);
+  }
+  return updated;
+};
+
+// Builds a user's public feed, the default feed served at their feed slug.
+// Users who have not logged in since multiple feeds and were not migrated
+// get it built from their User settings, without saving it.
+const getPublicFeed = async (user) => {
+  const feed =
+    (await Feed.findOne({ user: user._id, isDefault: true }).lean()) ||
+    (await getDefaultFeedFields(user));
+  return toPublicFeed(feed, await getFeedPosts(feed), user.feedSlug || null);
+};
+
+// Builds the public feed of one of a user's feeds. Returns null when the
+// feed does not exist.
+const getPublicFeedById = async (feedId) => {
+  const feed = await Feed.findById(feedId);
+  if (!feed) return null;
+
+  return toPublicFeed(feed, await getFeedPosts(feed));
+};
+
+module.exports = {
+  FEED_FIELDS,
+  toUpdatePaths,
+  orderFeedPosts,
+  toPublicFeed,
+  getFeedPosts,
+  ensureDefaultFeed,
+  migrateDefaultFeeds,
+  updateDefaultFeed,
+  addPostToDefaultFeed,
+  removePostFromFeeds,
+  updateFeed,
+  getPublicFeed,
+  getPublicFeedById,
+};
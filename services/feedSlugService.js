@@ -0,0 +1,130 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const createHttpError = require("../utils/createHttpError");
+
+const MIN_SLUG_LENGTH = 3;
+const MAX_SLUG_LENGTH = 30;
+// Old slugs kept per user so shared links keep redirecting
+const MAX_PREVIOUS_SLUGS = 10;
+
+// Words that read like our own pages or could be mistaken for them
+const RESERVED_SLUGS = new Set([
+  "admin",
+  "api",
+  "app",
+  "auth",
+  "dashboard",
+  "embed",
+  "feed",
+  "feeds",
+  "help",
+  "login",
+  "logout",
+  "preview",
+  "products",
+  "register",
+  "settings",
+  "shoplinkify",
+  "signup",
+  "social",
+  "support",
+  "users",
+  "www",
+]);
+
+// "My Shop!" -> "my-shop"
+const normalizeFeedSlug = (input) =>
+  String(input || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+// Returns why a normalized slug cannot be used, or null when it is valid
+const getFeedSlugError = (slug) => {
+  if (slug.length < MIN_SLUG_LENGTH || slug.length > MAX_SLUG_LENGTH) {
+    return `Feed slug must be ${MIN_SLUG_LENGTH} to ${MAX_SLUG_LENGTH} letters, numbers or dashes`;
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    return "This feed slug is reserved";
+  }
+  // A slug that looks like a user id would be resolved as one
+  if (mongoose.isObjectIdOrHexString(slug)) {
+    return "Feed slug cannot look like a user id";
+  }
+  return null;
+};
+
+// A slug is taken when another user has it now or had it before, since
+// that user's old links still redirect to their feed
+const isFeedSlugAvailable = async (slug, userId) => {
+  const owner = await User.findOne({
+    $or: [{ feedSlug: slug }, { previousFeedSlugs: slug }],
+  }).select("_id");
+  return !owner || owner._id.equals(userId);
+};
+
+// Sets the user's feed slug, keeping the old one for redirects. Returns the
+// updated user; throws a 400 or 409 error when the slug cannot be used.
+const changeFeedSlug = async (user, input) => {
+  const slug = normalizeFeedSlug(input);
+  const slugError = getFeedSlugError(slug);
+  if (slugError) {
+    throw createHttpError(400, slugError);
+  }
+
+  if (slug === user.feedSlug) return user;
+
+  if (!(await isFeedSlugAvailable(slug, user._id))) {
+    throw createHttpError(409, "This feed slug is already taken");
+  }
+
+  const previousFeedSlugs = (user.previousFeedSlugs || []).filter(
+    (previous) => previous !== slug
+  );
+  if (user.feedSlug) previousFeedSlugs.unshift(user.feedSlug);
+
+  try {
+    return await User.findByIdAndUpdate(
+      user._id,
+      {
+        feedSlug: slug,
+        previousFeedSlugs: previousFeedSlugs.slice(0, MAX_PREVIOUS_SLUGS),
+      },
+      { new: true }
+    );
+  } catch (error) {
+    // Another user took the slug since the availability check
+    if (error.code === 11000) {
+      throw createHttpError(409, "This feed slug is already taken", error);
+    }
+    throw error;
+  }
+};
+
+// Finds the owner of a public feed addressed by slug, or by user id for
+// embeds made before slugs existed. Returns { user, movedTo } where movedTo
+// is the current slug when an old one was used, or null when nothing matches.
+const resolveFeedOwner = async (slugOrId) => {
+  if (!slugOrId || typeof slugOrId !== "string") return null;
+
+  if (mongoose.isObjectIdOrHexString(slugOrId)) {
+    const user = await User.findById(slugOrId);
+    return user ? { user, movedTo: null } : null;
+  }
+
+  const slug = normalizeFeedSlug(slugOrId);
+  const user = await User.findOne({ feedSlug: slug });
+  if (user) return { user, movedTo: null };
+
+  const renamed = await User.findOne({ previousFeedSlugs: slug });
+  return renamed ? { user: renamed, movedTo: renamed.feedSlug } : null;
+};
+
+module.exports = {
+  normalizeFeedSlug,
+  getFeedSlugError,
+  isFeedSlugAvailable,
+  changeFeedSlug,
+  resolveFeedOwner,
+};
@@ -0,0 +1,57 @@
+const axios = require("axios");
+
+const DESKTOP_USER_AGENT =
+  "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+const MOBILE_USER_AGENT =
+  "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0.3 Mobile/15E148 Safari/604.1";
+
+// Browser header presets shared by the scraping services. Services spread
+// these and add their own Referer/Origin where a site needs it.
+const browserHeaders = {
+  // Navigating to an HTML page from a desktop browser
+  page: {
+    "User-Agent": DESKTOP_USER_AGENT,
+    Accept:
+      "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+    "Cache-Control": "no-cache",
+    Pragma: "no-cache",
+  },
+  // Calling a JSON API the way the site's own widgets do
+  json: {
+    "User-Agent": DESKTOP_USER_AGENT,
+    Accept: "application/json,text/html;q=0.9,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+  },
+  // Loading an image from a desktop page
+  image: {
+    "User-Agent": DESKTOP_USER_AGENT,
+    Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+  },
+  // Loading an image from a mobile page; some CDNs only serve these
+  mobileImage: {
+    "User-Agent": MOBILE_USER_AGENT,
+    Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+  },
+  // Streaming a video
+  video: {
+    "User-Agent": DESKTOP_USER_AGENT,
+    Accept: "video/mp4,video/*;q=0.9,*/*;q=0.8",
+    "Accept-Language": "en-US,en;q=0.9",
+  },
+};
+
+// Services take an `http` option so tests and background jobs can pass a
+// stub with the same get/head/request interface instead of the network.
+const createHttpClient = (options = {}) =>
+  axios.create({
+    timeout: 15000,
+    maxRedirects: 5,
+    ...options,
+  });
+
+const http = createHttpClient();
+
+module.exports = { http, createHttpClient, browserHeaders };
@@ -0,0 +1,120 @@
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+
+const CACHE_DURATION = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+const imageCache = new Map();
+
+const getCachedImage = (url) => {
+  const cached = imageCache.get(url);
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.imageUrl;
+  }
+  return null;
+};
+
+const setCachedImage = (url, imageUrl) => {
+  imageCache.set(url, {
+    imageUrl,
+    timestamp: Date.now(),
+  });
+};
+
+// Determine the appropriate referer based on the URL
+const getReferer = (url) => {
+  if (url.includes("instagram.com")) {
+    return "https://www.instagram.com/";
+  } else if (url.includes("facebook.com") || url.includes("fbcdn.net")) {
+    return "https://www.facebook.com/";
+  } else if (url.includes("tiktok.com")) {
+    return "https://www.tiktok.com/";
+  } else if (url.includes("pinimg.com") || url.includes("pinterest.")) {
+    return "https://www.pinterest.com/";
+  } else if (url.includes("twimg.com")) {
+    return "https://x.com/";
+  }
+  return "https://www.google.com/";
+};
+
+// Platform logo shown when an image cannot be proxied
+const getFallbackImage = (url) => {
+  if (url.includes("instagram.com")) {
+    return "https://www.instagram.com/static/images/ico/favicon-192.png/68d99ba29cc8.png";
+  } else if (url.includes("facebook.com") || url.includes("fbcdn.net")) {
+    return "https://static.xx.fbcdn.net/rsrc.php/v3/y4/r/-PAXP-deijE.gif";
+  } else if (url.includes("tiktok.com")) {
+    return "https://sf16-sg.tiktokcdn.com/obj/eden-sg/uvkuhyieh7lpqegw/tiktok_logo.png";
+  }
+  return "https://via.placeholder.com/300x300?text=Image+Not+Available";
+};
+
+// Builds the image proxy service. Pass `http` to swap the HTTP client.
+const createImageProxyService = ({ http = defaultHttp } = {}) => {
+  // Downloads an image with headers the source CDN accepts.
+  // Returns { contentType, data }; throws the request error on failure.
+  const fetchImage = async (url) => {
+    try {
+      // Enhanced request with better headers and error handling
+      const response = await http.request({
+        method: "get",
+        url: url,
+        responseType: "arraybuffer",
+        headers: {
+          ...browserHeaders.image,
+          Referer: getReferer(url),
+          "Cache-Control": "no-cache",
+          Pragma: "no-cache",
+          DNT: "1",
+          Connection: "keep-alive",
+          "Upgrade-Insecure-Requests": "1",
+          "Sec-Fetch-Dest": "image",
+          "Sec-Fetch-Mode": "no-cors",
+          "Sec-Fetch-Site": "cross-site",
+        },
+        // Set longer timeout for large images
+        timeout: 15000,
+        maxRedirects: 5,
+        validateStatus: function (status) {
+          return status >= 200 && status < 400; // Accept 2xx and 3xx status codes
+        },
+      });
+
+      return {
+        contentType: response.headers["content-type"] || "image/jpeg",
+        data: response.data,
+      };
+    } catch (error) {
+      const status = error.response && error.response.status;
+
+      // Try alternative method for Instagram images
+      if ((status === 403 || status === 401) && url.includes("instagram.com")) {
+        try {
+          const response = await http.request({
+            method: "get",
+            url: url,
+            responseType: "arraybuffer",
+            headers: browserHeaders.mobileImage,
+            timeout: 10000,
+          });
+
+          return {
+            contentType: response.headers["content-type"] || "image/jpeg",
+            data: response.data,
+          };
+        } catch (fallbackError) {
+          console.error("Fallback image proxy error:", fallbackError.message);
+        }
+      }
+
+      throw error;
+    }
+  };
+
+  return { fetchImage };
+};
+
+module.exports = {
+  createImageProxyService,
+  getCachedImage,
+  setCachedImage,
+  getReferer,
+  getFallbackImage,
+};
@@ -0,0 +1,255 @@
+const Post = require("../models/Post");
+const createHttpError = require("../utils/createHttpError");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+const { getPlatformNames, detectPlatform } = require("../platforms");
+const { addPostToDefaultFeed } = require("./feedService");
+const { updateProductMeta } = require("./productMetadataService");
+
+// Posts scraped at once by a bulk import; each one hits the network
+const BULK_IMPORT_CONCURRENCY = 4;
+const MAX_BULK_IMPORT_URLS = 100;
+
+const unsupportedUrlMessage = () =>
+  `Unsupported URL. Must be a link from one of: ${getPlatformNames().join(
+    ", "
+  )}`;
+
+// Accepts an array of URLs or a newline-separated block of them
+const parseUrlList = (input) => {
+  const lines = Array.isArray(input)
+    ? input
+    : typeof input === "string"
+    ? input.split(/\r?\n/)
+    : [];
+
+  return lines
+    .filter((line) => typeof line === "string")
+    .map((line) => line.trim())
+    .filter(Boolean);
+};
+
+// The same post pasted in two forms resolves to the same URL, and some
+// platforms also match older copies stored under another URL
+const findDuplicatePost = (userId, platform, post) => {
+  const duplicateConditions = [{ url: post.url }];
+  if (platform.duplicateQuery) {
+    duplicateConditions.push(platform.duplicateQuery(post));
+  }
+  return Post.findOne({
+    user: userId,
+    platform: platform.name,
+    $or: duplicateConditions,
+  }).select("_id");
+};
+
+// Whether a stored post matches every field of a duplicateQuery
+const matchesDuplicateQuery = (post, query) =>
+  Object.entries(query).every(([field, value]) => post[field] === value);
+
+const createDuplicateError = (existingPostId, cause) => {
+  const error = createHttpError(409, "This post has already been added", cause);
+  error.existingPostId = existingPostId;
+  return error;
+};
+
+// New posts are selected, so they go to the top of the default feed. A
+// failure is logged instead of failing an import whose post is saved.
+const addToDefaultFeed = async (userId, postId) => {
+  try {
+    await addPostToDefaultFeed(userId, postId);
+  } catch (error) {
+    console.error(
+      `Error adding post ${postId} to the default feed:`,
+      error.message
+    );
+  }
+};
+
+// Extracts a single post and saves it for the user. Returns the saved post
+// and the extractor result; throws a 409 error carrying `existingPostId`
+// when the user already has the post.
+const importSinglePost = async (userId, platform, { url, embedCode }) => {
+  const result = await platform.extract({ url, embedCode });
+
+  const existingPost = await findDuplicatePost(userId, platform, result.post);
+  if (existingPost) {
+    throw createDuplicateError(existingPost._id);
+  }
+
+  let post;
+  try {
+    post = await Post.create({
+      user: userId,
+      platform: platform.name,
+      ...result.post,
+    });
+  } catch (error) {
+    // Duplicate key on the (user, url) index: imported concurrently
+    if (error.code === 11000) {
+      throw createDuplicateError(undefined, error);
+    }
+    throw error;
+  }
+
+  await addToDefaultFeed(userId, post._id);
+  // Pinterest fills productLink from the pin's destination
+  return {
+    post: post.productLink ? await updateProductMeta(post) : post,
+    result,
+  };
+};
+
+// Imports the latest items of a collection URL (e.g. a YouTube channel or
+// playlist), skipping items the user has already imported.
+// Returns { items, results: [{ id, url, status, ... }], summary }.
+const importCollection = async (userId, platform, { url, limit }) => {
+  const items = await platform.listCollection({ url, limit });
+
+  // Older posts may be stored under another URL form of the same item, so
+  // match on the platform's duplicateQuery (e.g. the video id) too
+  const duplicateConditions = [{ url: { $in: items.map((item) => item.url) } }];
+  if (platform.duplicateQuery) {
+    duplicateConditions.push(...items.map(platform.duplicateQuery));
+  }
+  const existingPosts = await Post.find({
+    user: userId,
+    platform: platform.name,
+    $or: duplicateConditions,
+  }).lean();
+  const isImported = (item) =>
+    existingPosts.some(
+      (post) =>
+        post.url === item.url ||
+        (platform.duplicateQuery &&
+          matchesDuplicateQuery(post, platform.duplicateQuery(item)))
+    );
+
+  const newItems = items.filter((item) => !isImported(item));
+  const extracted = newItems.length ? await platform.extractMany(newItems) : [];
+  const extractedById = new Map(
+    extracted.map((entry) => [entry.item.id, entry])
+  );
+
+  const results = [];
+  for (const item of items) {
+    if (isImported(item)) {
+      results.push({ id: item.id, url: item.url, status: "skipped" });
+      continue;
+    }
+
+    const entry = extractedById.get(item.id);
+    if (!entry || entry.error) {
+      results.push({
+        id: item.id,
+        url: item.url,
+        status: "failed",
+        error: entry ? entry.error : "Could not fetch post data",
+      });
+      continue;
+    }
+
+    try {
+      const post = await Post.create({
+        user: userId,
+        platform: platform.name,
+        ...entry.post,
+      });
+      await addToDefaultFeed(userId, post._id);
+      if (post.productLink) await updateProductMeta(post);
+      results.push({
+        id: item.id,
+        url: item.url,
+        status: "created",
+        title: post.title,
+        _id: post._id,
+      });
+    } catch (error) {
+      // Duplicate key on the (user, url) index: imported concurrently
+      results.push({
+        id: item.id,
+        url: item.url,
+        status: error.code === 11000 ? "skipped" : "failed",
+        ...(error.code !== 11000 && { error: error.message }),
+      });
+    }
+  }
+
+  const summary = { created: 0, skipped: 0, failed: 0 };
+  results.forEach((result) => summary[result.status]++);
+
+  return { items, results, summary };
+};
+
+// Imports one URL of a bulk request. Never throws: every outcome is
+// reported as created, duplicate, unsupported or failed.
+const importBulkItem = async (userId, url) => {
+  const platform = detectPlatform(url);
+  if (!platform) {
+    return { url, status: "unsupported", error: unsupportedUrlMessage() };
+  }
+
+  if (platform.isCollectionUrl && platform.isCollectionUrl(url)) {
+    return {
+      url,
+      platform: platform.name,
+      status: "unsupported",
+      error: "Channel and playlist links must be imported on their own",
+    };
+  }
+
+  try {
+    const { post } = await importSinglePost(userId, platform, { url });
+    return {
+      url,
+      platform: platform.name,
+      status: "created",
+      title: post.title,
+      _id: post._id,
+    };
+  } catch (error) {
+    if (error.statusCode === 409) {
+      return {
+        url,
+        platform: platform.name,
+        status: "duplicate",
+        ...(error.existingPostId && { _id: error.existingPostId }),
+      };
+    }
+
+    console.error(`${platform.label} bulk import error for ${url}:`, error);
+    return {
+      url,
+      platform: platform.name,
+      status: "failed",
+      error: error.statusCode
+        ? error.message
+        : `Error importing ${platform.label} post: ${
+            (error.cause || error).message
+          }`,
+    };
+  }
+};
+
+// Imports many URLs across platforms with bounded concurrency.
+// Returns { results, summary } with results in input order.
+const importBulk = async (userId, urls) => {
+  const results = await mapWithConcurrency(
+    urls,
+    BULK_IMPORT_CONCURRENCY,
+    (url) => importBulkItem(userId, url)
+  );
+
+  const summary = { created: 0, duplicate: 0, unsupported: 0, failed: 0 };
+  results.forEach((result) => summary[result.status]++);
+
+  return { results, summary };
+};
+
+module.exports = {
+  MAX_BULK_IMPORT_URLS,
+  unsupportedUrlMessage,
+  parseUrlList,
+  importSinglePost,
+  importCollection,
+  importBulk,
+};
@@ -0,0 +1,1124 @@
+const cheerio = require("cheerio");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+
+// Headers that make the post page request look like a normal browser
+// visit; without them Instagram tends to serve a login wall or profile images
+const pageHeaders = {
+  "User-Agent":
+    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
+  "Accept-Language": "en-US,en;q=0.9",
+  Accept:
+    "text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8",
+  "Cache-Control": "no-cache",
+  Pragma: "no-cache",
+  "sec-ch-ua": '"Not?A_Brand";v="8", "Chromium";v="108"',
+  "sec-ch-ua-mobile": "?0",
+  "sec-ch-ua-platform": '"Windows"',
+  "Sec-Fetch-Dest": "document",
+  "Sec-Fetch-Mode": "navigate",
+  "Sec-Fetch-Site": "none",
+  "Sec-Fetch-User": "?1",
+  Referer: "https://www.google.com/",
+};
+
+const imageHeaders = {
+  ...browserHeaders.mobileImage,
+  Referer: "https://www.instagram.com/",
+  Origin: "https://www.instagram.com",
+};
+
+// Reads the JSON array/object that follows "key": anywhere in the page,
+// e.g. the sidecar data inside an inline script
+const extractJsonValue = (html, key) => {
+  const keyIndex = html.indexOf(`"${key}":`);
+  if (keyIndex === -1) return null;
+
+  const start = keyIndex + key.length + 3;
+  const open = html[start];
+  if (open !== "[" && open !== "{") return null;
+  const close = open === "[" ? "]" : "}";
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < html.length; i++) {
+    const char = html[i];
+    if (inString) {
+      if (char === "\\") i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close) {
+      depth--;
+      if (depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch (error) {
+          return null;
+        }
+      }
+    }
+  }
+  return null;
+};
+
+const getLargestResource = (resources) =>
+  [...(resources || [])].sort(
+    (a, b) =>
+      b.config_width * b.config_height - a.config_width * a.config_height
+  )[0];
+
+// Returns the ordered slides of a carousel post as
+// [{ type: "image" | "video", url, thumbnailUrl }], or [] for single posts.
+// Handles both the GraphQL sidecar shape and the newer carousel_media shape.
+const findCarouselSlides = (html) => {
+  const sidecar = extractJsonValue(html, "edge_sidecar_to_children");
+  if (sidecar && Array.isArray(sidecar.edges) && sidecar.edges.length > 0) {
+    return sidecar.edges
+      .map(({ node }) => {
+        const imageUrl =
+          getLargestResource(node.display_resources)?.src || node.display_url;
+        if (!imageUrl) return null;
+        return node.is_video
+          ? { type: "video", url: node.video_url || "", thumbnailUrl: imageUrl }
+          : { type: "image", url: imageUrl, thumbnailUrl: imageUrl };
+      })
+      .filter(Boolean);
+  }
+
+  const carouselMedia = extractJsonValue(html, "carousel_media");
+  if (Array.isArray(carouselMedia) && carouselMedia.length > 0) {
+    return carouselMedia
+      .map((item) => {
+        const imageUrl = item.image_versions2?.candidates?.[0]?.url;
+        if (!imageUrl) return null;
+        // media_type 2 is a video slide
+        return item.media_type === 2
+          ? {
+              type: "video",
+              url: item.video_versions?.[0]?.url || "",
+              thumbnailUrl: imageUrl,
+            }
+          : { type: "image", url: imageUrl, thumbnailUrl: imageUrl };
+      })
+      .filter(Boolean);
+  }
+
+  return [];
+};
+
+// Returns the playable video URL of a Reel or video post, or null
+const findVideoUrl = (html) => {
+  const $ = cheerio.load(html);
+  const metaVideo =
+    $('meta[property="og:video:secure_url"]').attr("content") ||
+    $('meta[property="og:video"]').attr("content");
+  if (metaVideo) return metaVideo;
+
+  const videoUrlMatch = html.match(/"video_url":"([^"]+)"/);
+  if (videoUrlMatch) {
+    try {
+      return JSON.parse(`"${videoUrlMatch[1]}"`);
+    } catch (error) {
+      console.error("❌ Error decoding Instagram video_url:", error.message);
+    }
+  }
+
+  const videoVersions = extractJsonValue(html, "video_versions");
+  if (Array.isArray(videoVersions) && videoVersions[0]?.url) {
+    return videoVersions[0].url;
+  }
+
+  return null;
+};
+
+// Instagram CDN URLs carry their expiry as a hex unix timestamp in the
+// "oe" query param. Returns null when the URL has no such param.
+const getCdnUrlExpiry = (cdnUrl) => {
+  try {
+    const expiry = new URL(cdnUrl).searchParams.get("oe");
+    return expiry ? parseInt(expiry, 16) * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Refresh video URLs that expire within the next ten minutes
+const VIDEO_URL_REFRESH_MARGIN = 10 * 60 * 1000;
+
+// Turns a pasted post/reel URL, embed URL or embed code into the post page
+// URL to scrape. Throws a 400 error when no Instagram post URL is found.
+const normalizeInstagramUrl = (postUrl, embedCode) => {
+  // Check if the URL itself is an embed code
+  const isEmbedCode =
+    postUrl.includes("<blockquote") && postUrl.includes("instagram-media");
+
+  let processedUrl = postUrl;
+  let originalEmbedCode = embedCode || null;
+
+  // If URL is actually an embed code, extract the URL from it
+  if (isEmbedCode) {
+    console.log("📝 Detected embed code in URL field, extracting actual URL");
+    originalEmbedCode = postUrl;
+    const urlMatch = postUrl.match(
+      /https:\/\/www\.instagram\.com\/(p|reel|tv)\/[^\/'"]+/
+    );
+    if (urlMatch) {
+      processedUrl = urlMatch[0];
+      console.log("✅ Extracted Instagram URL from embed code:", processedUrl);
+    } else {
+      console.log("❌ Failed to extract URL from embed code");
+    }
+  }
+  // If the separate embed code is provided and URL is not an embed code
+  else if (
+    embedCode &&
+    embedCode.includes("<blockquote") &&
+    embedCode.includes("instagram-media")
+  ) {
+    originalEmbedCode = embedCode;
+    console.log("📝 Using provided embed code");
+
+    // Try to extract URL from embed code if URL looks invalid
+    if (!processedUrl.includes("instagram.com")) {
+      const urlMatch = embedCode.match(
+        /https:\/\/www\.instagram\.com\/(p|reel|tv)\/[^\/'"]+/
+      );
+      if (urlMatch) {
+        processedUrl = urlMatch[0];
+        console.log(
+          "✅ Extracted Instagram URL from embed code field:",
+          processedUrl
+        );
+      } else {
+        console.log("❌ Failed to extract URL from embed code field");
+      }
+    }
+  }
+
+  const isEmbedUrl =
+    processedUrl.includes("/embed") && processedUrl.includes("instagram.com");
+
+  if (!isEmbedUrl && processedUrl.includes("instagram.com")) {
+    const shortcodeMatch = processedUrl.match(/\/(p|reel|tv)\/([^\/\?]+)/);
+    if (shortcodeMatch && shortcodeMatch[2]) {
+      const shortcode = shortcodeMatch[2];
+      // Reels keep their /reel/ URL, their page carries the video tags
+      const pathType = shortcodeMatch[1] === "reel" ? "reel" : "p";
+
+      // IMPORTANT CHANGE: Don't use embed URL, use direct post URL
+      // Using embed URLs might lead to profile images instead of post images
+      // processedUrl = `https://www.instagram.com/p/${shortcode}/embed/`;
+      processedUrl = `https://www.instagram.com/${pathType}/${shortcode}/`;
+      console.log(
+        "🔄 Using direct Instagram post URL instead of embed URL:",
+        processedUrl
+      );
+    } else {
+      console.log("⚠️ Could not extract shortcode from Instagram URL");
+    }
+  } else if (isEmbedUrl) {
+    // Convert embed URL to direct post URL
+    processedUrl = processedUrl.replace("/embed/", "/");
+    console.log(
+      "🔄 Converting Instagram embed URL to direct post URL:",
+      processedUrl
+    );
+  }
+
+  if (
+    !/^https?:\/\/(www\.)?instagram\.com\/(p|reel|tv)\/[a-zA-Z0-9_-]+/.test(
+      processedUrl
+    )
+  ) {
+    console.log("❌ Invalid Instagram URL format:", processedUrl);
+    throw createHttpError(
+      400,
+      "Invalid Instagram URL. Must be a post, reel, or TV URL"
+    );
+  }
+
+  return { processedUrl, originalEmbedCode, isEmbedUrl };
+};
+
+// Picks the post image out of a post page: meta tags first, then the
+// embedded JSON, then regexes, skipping anything that looks like the
+// author's profile picture. Also returns the playable video URL of Reels
+// and the slides of carousel posts. Throws a 404 error when no image is found.
+const parseInstagramPage = (html) => {
+  let imageUrl = null;
+  let extractionMethod = "";
+  const $ = cheerio.load(html);
+
+  // Log all meta tags for debugging
+  console.log("📋 Meta Tags Found:");
+  $("meta").each((i, el) => {
+    const property = $(el).attr("property");
+    const content = $(el).attr("content");
+    if (property && content) {
+      console.log(
+        `  ${property}: ${content.substring(0, 100)}${
+          content.length > 100 ? "..." : ""
+        }`
+      );
+    }
+  });
+
+  // Try to extract image URL from meta tags, prioritizing more specific post image tags
+  // Check for post-specific and content-specific meta tags first
+  console.log("🔍 DETAILED DEBUG: Beginning meta tag extraction");
+  console.log("-----------------------------------------------------");
+
+  // Log all image-related meta tags specifically
+  console.log("📸 All image-related meta tags:");
+  const imageTags = [
+    "og:image",
+    "og:image:url",
+    "og:image:secure_url",
+    "twitter:image",
+    "twitter:image:src",
+    "instagram:image",
+    "image",
+    "thumbnail",
+  ];
+
+  const metaImageUrls = {};
+  imageTags.forEach((tag) => {
+    const propContent = $(`meta[property="${tag}"]`).attr("content");
+    const nameContent = $(`meta[name="${tag}"]`).attr("content");
+    if (propContent) {
+      metaImageUrls[`property:${tag}`] = propContent;
+      console.log(
+        `  [property:${tag}] = ${propContent.substring(0, 100)}${
+          propContent.length > 100 ? "..." : ""
+        }`
+      );
+    }
+    if (nameContent) {
+      metaImageUrls[`name:${tag}`] = nameContent;
+      console.log(
+        `  [name:${tag}] = ${nameContent.substring(0, 100)}${
+          nameContent.length > 100 ? "..." : ""
+        }`
+      );
+    }
+  });
+
+  // Check for image dimensions in meta tags (useful for filtering out small images)
+  const ogImageWidth = $('meta[property="og:image:width"]').attr("content");
+  const ogImageHeight = $('meta[property="og:image:height"]').attr("content");
+  if (ogImageWidth && ogImageHeight) {
+    console.log(`📏 Meta image dimensions: ${ogImageWidth}x${ogImageHeight}`);
+  }
+
+  imageUrl =
+    $('meta[property="og:image:url"]').attr("content") ||
+    $('meta[property="og:image:secure_url"]').attr("content") ||
+    $('meta[name="twitter:image"]').attr("content") ||
+    $('meta[property="og:image"]').attr("content");
+
+  if (imageUrl) {
+    // Check if the image might be a profile pic rather than a post image
+    const isLikelyProfilePic =
+      imageUrl.includes("/profile_pic/") ||
+      imageUrl.includes("profile_images") ||
+      imageUrl.includes("/dp/") ||
+      (imageUrl.includes("instagram.com") && imageUrl.includes("s150x150"));
+
+    console.log("🔍 PROFILE PIC CHECK: Examining selected image URL");
+    console.log(`📝 Selected URL: ${imageUrl}`);
+    console.log(
+      `🚫 Profile URL patterns: ${
+        isLikelyProfilePic ? "DETECTED" : "None found"
+      }`
+    );
+
+    if (isLikelyProfilePic) {
+      console.log(
+        "⚠️ URL ANALYSIS: This appears to be a profile picture based on URL pattern"
+      );
+      // Additional checks to confirm it's a profile pic
+      const profileIndicators = [];
+      if (imageUrl.includes("/profile_pic/"))
+        profileIndicators.push("Contains '/profile_pic/'");
+      if (imageUrl.includes("profile_images"))
+        profileIndicators.push("Contains 'profile_images'");
+      if (imageUrl.includes("/dp/"))
+        profileIndicators.push("Contains '/dp/' (display picture)");
+      if (imageUrl.includes("s150x150"))
+        profileIndicators.push(
+          "Contains 's150x150' (common profile thumbnail size)"
+        );
+      console.log(`🔎 Profile indicators: ${profileIndicators.join(", ")}`);
+    }
+
+    if (!isLikelyProfilePic) {
+      extractionMethod = "og_image";
+      console.log(
+        "✅ Found image in meta tags:",
+        imageUrl.substring(0, 100) + (imageUrl.length > 100 ? "..." : "")
+      );
+    } else {
+      console.log(
+        "⚠️ Found meta tag image but it appears to be a profile picture, looking for better options:",
+        imageUrl
+      );
+      // Save this as a fallback but continue searching
+      const profileImageUrl = imageUrl;
+      imageUrl = null;
+
+      // Look for content-specific meta tags
+      const contentTags = [
+        "article:image",
+        "og:image:url",
+        "twitter:image:src",
+        "image",
+        "thumbnail",
+        "instagram:image",
+      ];
+
+      console.log("🔍 DETAILED DEBUG: Searching alternative meta tags");
+      for (const tag of contentTags) {
+        const tagContent =
+          $(`meta[property="${tag}"]`).attr("content") ||
+          $(`meta[name="${tag}"]`).attr("content");
+        if (tagContent) {
+          console.log(
+            `📝 Found [${tag}]: ${tagContent.substring(0, 100)}${
+              tagContent.length > 100 ? "..." : ""
+            }`
+          );
+
+          const isTagProfilePic =
+            tagContent.includes("/profile_pic/") ||
+            tagContent.includes("profile_images") ||
+            tagContent.includes("/dp/") ||
+            (tagContent.includes("instagram.com") &&
+              tagContent.includes("s150x150"));
+
+          console.log(
+            `   Profile pic check: ${
+              isTagProfilePic ? "⚠️ LIKELY PROFILE" : "✅ NOT PROFILE"
+            }`
+          );
+
+          if (tagContent && !isTagProfilePic) {
+            imageUrl = tagContent;
+            extractionMethod = `meta_tag_${tag.replace(":", "_")}`;
+            console.log(
+              `✅ Found better image in ${tag} meta tag:`,
+              imageUrl.substring(0, 100) + (imageUrl.length > 100 ? "..." : "")
+            );
+            break;
+          }
+        }
+      }
+
+      // If no better image found, revert to the profile image as last resort
+      if (!imageUrl) {
+        imageUrl = profileImageUrl;
+        extractionMethod = "og_image_profile";
+        console.log(
+          "⚠️ No better images found, using profile image as fallback"
+        );
+      }
+    }
+  } else {
+    console.log("⚠️ No og:image meta tag found");
+  }
+
+  console.log("-----------------------------------------------------");
+
+  // If no image found in meta tags, try to find it in the HTML content
+  if (!imageUrl) {
+    console.log("🔍 DETAILED DEBUG: Looking for display_url in HTML content");
+    console.log("-----------------------------------------------------");
+
+    // Look for display_resources or display_url in JSON data
+    const jsonDataMatches = html.match(
+      /window\._sharedData\s*=\s*({.+?});<\/script>/
+    );
+    if (jsonDataMatches && jsonDataMatches[1]) {
+      try {
+        const jsonData = JSON.parse(jsonDataMatches[1]);
+        console.log("✅ Found Instagram shared data JSON");
+
+        // Dump some structure info for debugging
+        console.log("📊 JSON Structure:");
+        if (jsonData.entry_data) {
+          console.log("  entry_data keys:", Object.keys(jsonData.entry_data));
+          if (jsonData.entry_data.PostPage) {
+            console.log("  PostPage found");
+          } else if (jsonData.entry_data.ProfilePage) {
+            console.log(
+              "  ProfilePage found (this might explain profile pic issues)"
+            );
+          }
+        } else {
+          console.log("  No entry_data found");
+        }
+
+        // Navigate through the JSON structure to find post image
+        let postMedia = null;
+
+        // Try to find media in different possible locations
+        if (
+          jsonData.entry_data &&
+          jsonData.entry_data.PostPage &&
+          jsonData.entry_data.PostPage[0] &&
+          jsonData.entry_data.PostPage[0].graphql &&
+          jsonData.entry_data.PostPage[0].graphql.shortcode_media
+        ) {
+          postMedia = jsonData.entry_data.PostPage[0].graphql.shortcode_media;
+          console.log("✅ Found post media in PostPage structure");
+          console.log("📊 Media type:", postMedia.is_video ? "VIDEO" : "IMAGE");
+          if (postMedia.__typename) {
+            console.log("📊 Media typename:", postMedia.__typename);
+          }
+        }
+        // Try alternative structures
+        else if (
+          jsonData.entry_data &&
+          jsonData.entry_data.ProfilePage &&
+          jsonData.entry_data.ProfilePage[0] &&
+          jsonData.entry_data.ProfilePage[0].graphql &&
+          jsonData.entry_data.ProfilePage[0].graphql.user &&
+          jsonData.entry_data.ProfilePage[0].graphql.user
+            .edge_owner_to_timeline_media &&
+          jsonData.entry_data.ProfilePage[0].graphql.user
+            .edge_owner_to_timeline_media.edges &&
+          jsonData.entry_data.ProfilePage[0].graphql.user
+            .edge_owner_to_timeline_media.edges.length > 0
+        ) {
+          postMedia =
+            jsonData.entry_data.ProfilePage[0].graphql.user
+              .edge_owner_to_timeline_media.edges[0].node;
+          console.log("✅ Found post media in ProfilePage structure");
+          console.log(
+            "⚠️ WARNING: Using ProfilePage might use the wrong image"
+          );
+
+          // Check for profile pic
+          const profilePicUrl =
+            jsonData.entry_data.ProfilePage[0].graphql.user.profile_pic_url;
+          const profilePicUrlHD =
+            jsonData.entry_data.ProfilePage[0].graphql.user.profile_pic_url_hd;
+          if (profilePicUrl) {
+            console.log("⚠️ Profile pic URL found:", profilePicUrl);
+            console.log("⚠️ Ensure we don't use this by mistake");
+          }
+          if (profilePicUrlHD) {
+            console.log("⚠️ Profile pic URL HD found:", profilePicUrlHD);
+            console.log("⚠️ Ensure we don't use this by mistake");
+          }
+        }
+
+        // Extract the best quality image URL
+        if (postMedia) {
+          console.log("📊 Available media keys:", Object.keys(postMedia));
+
+          // Check for display_resources (contains multiple sizes)
+          if (
+            postMedia.display_resources &&
+            Array.isArray(postMedia.display_resources) &&
+            postMedia.display_resources.length > 0
+          ) {
+            // Sort by size and get the largest
+            const sortedResources = [...postMedia.display_resources].sort(
+              (a, b) => {
+                return (
+                  b.config_width * b.config_height -
+                  a.config_width * a.config_height
+                );
+              }
+            );
+
+            console.log(
+              "📊 Display resources found:",
+              postMedia.display_resources.length
+            );
+            postMedia.display_resources.forEach((res, idx) => {
+              console.log(
+                `  Resource ${idx + 1}: ${res.config_width}x${
+                  res.config_height
+                } - ${res.src.substring(0, 100)}...`
+              );
+            });
+
+            imageUrl = sortedResources[0].src;
+            extractionMethod = "json_display_resources";
+            console.log(
+              "✅ Found high-quality image in display_resources:",
+              imageUrl.substring(0, 100) + (imageUrl.length > 100 ? "..." : "")
+            );
+            console.log(
+              `📏 Image dimensions: ${sortedResources[0].config_width}x${sortedResources[0].config_height}`
+            );
+          }
+          // Fallback to display_url
+          else if (postMedia.display_url) {
+            imageUrl = postMedia.display_url;
+            extractionMethod = "json_display_url";
+            console.log(
+              "✅ Found image in display_url:",
+              imageUrl.substring(0, 100) + (imageUrl.length > 100 ? "..." : "")
+            );
+
+            // Log dimensions if available
+            if (postMedia.dimensions) {
+              console.log(
+                `📏 Image dimensions: ${postMedia.dimensions.width}x${postMedia.dimensions.height}`
+              );
+            }
+          }
+        }
+      } catch (jsonError) {
+        console.error(
+          "❌ Error parsing Instagram JSON data:",
+          jsonError.message
+        );
+        console.error("JSON parse error details:", jsonError);
+      }
+    } else {
+      console.log("⚠️ Could not find Instagram shared data JSON");
+    }
+
+    // Fallback: Try simple regex for display_url if JSON parsing failed
+    if (!imageUrl) {
+      console.log("🔍 Attempting fallback: regex search for display_url");
+
+      const displayUrlRegexes = [
+        /"display_url":"([^"]+)"/,
+        /"display_src":"([^"]+)"/,
+        /"og:image":"([^"]+)"/,
+        /<img[^>]+class="FFVAD"[^>]+src="([^"]+)"/,
+      ];
+
+      for (const regex of displayUrlRegexes) {
+        console.log(`🔍 Trying regex: ${regex}`);
+        const match = html.match(regex);
+        if (match && match[1]) {
+          const potentialUrl = match[1].replace(/\\/g, "");
+          console.log(
+            `📝 Found match: ${potentialUrl.substring(0, 100)}${
+              potentialUrl.length > 100 ? "..." : ""
+            }`
+          );
+
+          // Skip if it looks like a profile picture
+          const isLikelyProfilePic =
+            potentialUrl.includes("/profile_pic/") ||
+            potentialUrl.includes("profile_images") ||
+            potentialUrl.includes("/dp/");
+
+          console.log(
+            `🚫 Profile URL check: ${
+              isLikelyProfilePic ? "DETECTED" : "Not detected"
+            }`
+          );
+
+          if (!isLikelyProfilePic) {
+            imageUrl = potentialUrl;
+            extractionMethod = "display_url_regex";
+            console.log(
+              "✅ Found image in display_url regex:",
+              imageUrl.substring(0, 100) + (imageUrl.length > 100 ? "..." : "")
+            );
+            break;
+          } else {
+            console.log(
+              "⚠️ Skipped profile image found in display_url:",
+              potentialUrl.substring(0, 100) +
+                (potentialUrl.length > 100 ? "..." : "")
+            );
+          }
+        }
+      }
+
+      if (!imageUrl) {
+        console.log("⚠️ No display_url found using any regex pattern");
+      }
+    }
+
+    console.log("-----------------------------------------------------");
+  }
+
+  // Try another fallback method - look for image tags with specific patterns
+  if (!imageUrl) {
+    console.log("🔍 DETAILED DEBUG: Looking for image tags in HTML");
+    console.log("-----------------------------------------------------");
+
+    // First, look for post content images specifically (typically larger images)
+    console.log("❌ Could not find any image URL for the Instagram post");
+    throw createHttpError(404, "Could not find image for the Instagram post");
+  }
+
+  if (imageUrl.startsWith("//")) {
+    imageUrl = "https:" + imageUrl;
+    console.log("🔄 Added https: prefix to image URL");
+  }
+
+  console.log("🖼️ Original URL:", imageUrl);
+  const originalUrl = imageUrl;
+
+  // Clean up the URL
+  const cleanedUrl = imageUrl
+    .replace(/\/s\d+x\d+\//, "/")
+    .replace(/\/c\d+\.\d+\.\d+\.\d+\//, "/")
+    .replace(/\/e\d+\//, "/")
+    .replace(/\/[a-z]\d+x\d+\//, "/")
+    .replace(/\/(vp|p|s)[0-9]+x[0-9]+(_[0-9]+)?\//, "/")
+    .replace(/\/p[0-9]+x[0-9]+\//, "/")
+    .replace(/[\?&]se=\d+/, "")
+    .replace(/[\?&]sh=\d+/, "")
+    .replace(/[\?&]sw=\d+/, "")
+    .replace(/[\?&]quality=\d+/, "")
+    .replace(/\?_nc_ht.*$/, "")
+    .replace(/\?_nc_cat.*$/, "")
+    .replace(/\?igshid.*$/, "")
+    .replace(/\?_nc_.*$/, "");
+
+  imageUrl = cleanedUrl
+    .replace(/\\u0026/g, "&")
+    .replace(/\\u003D/g, "=")
+    .replace(/\\/g, "");
+
+  if (originalUrl !== imageUrl) {
+    console.log("🔄 Transformed URL to remove cropping:", imageUrl);
+  }
+
+  // FINAL PROFILE IMAGE CHECK - Check one more time if this URL has profile image patterns
+  // This is a critical last check to avoid downloading profile images
+  const finalProfileImagePatterns = [
+    "/profile_pic/",
+    "profile_images",
+    "/profpic/",
+    "/pp/",
+    "/dp/",
+    "s150x150",
+    "/profile/",
+    "/profil/",
+    "avatar",
+    ".com/p/profile",
+  ];
+
+  let hasProfilePattern = false;
+  for (const pattern of finalProfileImagePatterns) {
+    if (imageUrl.includes(pattern)) {
+      hasProfilePattern = true;
+      console.log(
+        `⚠️ CRITICAL: Final check detected profile image pattern "${pattern}"`
+      );
+      console.log(`⚠️ URL: ${imageUrl}`);
+
+      // If we're sure this is a profile image, try to get a larger image from the HTML
+      console.log(
+        "🔍 EMERGENCY FALLBACK: Looking for any large image in the page"
+      );
+
+      const imgElements = $("img");
+      const candidateImages = [];
+
+      imgElements.each((i, img) => {
+        const src = $(img).attr("src");
+        if (!src) return;
+
+        // Skip known profile images
+        if (
+          finalProfileImagePatterns.some((pattern) => src.includes(pattern))
+        ) {
+          return;
+        }
+
+        const width = parseInt($(img).attr("width") || "0", 10);
+        const height = parseInt($(img).attr("height") || "0", 10);
+
+        // Only consider Instagram/Facebook CDN images
+        if (src.includes("cdninstagram") || src.includes("fbcdn.net")) {
+          candidateImages.push({
+            src,
+            width,
+            height,
+            size: width * height,
+          });
+        }
+      });
+
+      if (candidateImages.length > 0) {
+        // Sort by size (largest first)
+        candidateImages.sort((a, b) => b.size - a.size);
+
+        console.log(`🔍 Found ${candidateImages.length} alternative images`);
+        candidateImages.forEach((img, idx) => {
+          console.log(
+            `  Alternative ${idx + 1}: ${img.width}x${
+              img.height
+            } - ${img.src.substring(0, 100)}...`
+          );
+        });
+
+        // Use the largest image
+        imageUrl = candidateImages[0].src;
+        console.log(
+          `✅ EMERGENCY REPLACEMENT: Using alternative image: ${imageUrl.substring(
+            0,
+            100
+          )}...`
+        );
+        extractionMethod = "emergency_fallback";
+        break;
+      }
+    }
+  }
+
+  if (hasProfilePattern && extractionMethod.includes("profile")) {
+    console.log(
+      "⚠️ WARNING: We're about to use what appears to be a profile image. This may not be what you want!"
+    );
+  }
+
+  return {
+    imageUrl,
+    extractionMethod,
+    videoUrl: findVideoUrl(html),
+    slides: findCarouselSlides(html),
+  };
+};
+
+// Builds the Instagram service. `http` and `upload` default to the shared
+// HTTP client and Cloudinary upload; pass stubs to run offline.
+const createInstagramService = ({
+  http = defaultHttp,
+  upload = uploadFile,
+} = {}) => {
+  // Returns a fresh videoPath for a stored Reel when the saved CDN URL has
+  // expired or no longer plays, otherwise the saved one
+  const refreshVideoPath = async (post) => {
+    const expiry = getCdnUrlExpiry(post.videoPath);
+    let isPlayable = expiry
+      ? expiry - Date.now() > VIDEO_URL_REFRESH_MARGIN
+      : null;
+
+    if (isPlayable === null) {
+      try {
+        const response = await http.head(post.videoPath, {
+          headers: imageHeaders,
+          validateStatus: function (status) {
+            return status < 500;
+          },
+          timeout: 5000,
+        });
+        isPlayable =
+          response.status < 400 &&
+          !!response.headers["content-type"]?.includes("video");
+      } catch (error) {
+        console.error("❌ Error checking Instagram video URL:", error.message);
+        isPlayable = false;
+      }
+    }
+
+    if (isPlayable) return post.videoPath;
+
+    // Stored URLs may still be the pasted embed code
+    const pageUrlMatch = post.url.match(
+      /https?:\/\/(www\.)?instagram\.com\/(p|reel|tv)\/[^\/'"?]+/
+    );
+    if (!pageUrlMatch) return post.videoPath;
+
+    console.log("🔄 Instagram video URL expired, fetching a fresh one");
+    const { data } = await http.get(`${pageUrlMatch[0]}/`, {
+      headers: pageHeaders,
+      timeout: 15000,
+      maxRedirects: 5,
+    });
+    return findVideoUrl(data) || post.videoPath;
+  };
+
+  // Instagram CDN URLs expire, so keep our own copy of each slide image.
+  // Downloads with browser headers first since the CDN often refuses
+  // Cloudinary's fetcher, then falls back to a URL upload.
+  const rehostImage = async (imageUrl, uploadImage) => {
+    try {
+      const response = await http.request({
+        method: "GET",
+        url: imageUrl,
+        responseType: "arraybuffer",
+        headers: imageHeaders,
+        timeout: 15000,
+      });
+      return await uploadImage(Buffer.from(response.data), () => {});
+    } catch (error) {
+      console.error("❌ Error re-hosting Instagram image:", error.message);
+    }
+
+    try {
+      return await uploadImage(imageUrl, () => {});
+    } catch (error) {
+      console.error("❌ Fallback upload also failed:", error.message);
+      return imageUrl;
+    }
+  };
+
+  const extract = async ({
+    url: postUrl,
+    embedCode,
+    upload: uploadImage = upload,
+  }) => {
+    console.log("📷 Instagram upload request received for URL:", postUrl);
+
+    const { processedUrl, originalEmbedCode, isEmbedUrl } =
+      normalizeInstagramUrl(postUrl, embedCode);
+
+    try {
+      console.log(
+        "🔍 Attempting to extract Instagram image from:",
+        processedUrl
+      );
+
+      // Add user agent that acts like a normal browser to avoid profile pic issues
+      const { data } = await http.get(processedUrl, {
+        headers: pageHeaders,
+        timeout: 15000,
+        maxRedirects: 5,
+      });
+
+      console.log("✅ Successfully fetched Instagram page HTML");
+
+      const page = parseInstagramPage(data);
+      let { imageUrl, extractionMethod } = page;
+      const { videoUrl, slides } = page;
+
+      // Reels and video posts: the image is the cover frame
+      const isReel = /instagram\.com\/reel\//.test(processedUrl);
+      if (isReel && !videoUrl) {
+        console.log(
+          "⚠️ No playable video URL found for Reel, storing cover only"
+        );
+      }
+
+      // Carousel posts: keep every slide, in order
+      const media = [];
+      if (slides.length > 1) {
+        console.log(`🎠 Carousel post detected with ${slides.length} slides`);
+        for (const slide of slides) {
+          const thumbnailUrl = await rehostImage(
+            slide.thumbnailUrl,
+            uploadImage
+          );
+          media.push({
+            type: slide.type,
+            url: slide.type === "image" ? thumbnailUrl : slide.url,
+            thumbnailUrl,
+          });
+        }
+
+        // The first slide is the cover
+        imageUrl = slides[0].thumbnailUrl;
+        extractionMethod = "carousel";
+      }
+
+      // Download and upload image to Cloudinary
+      // (carousel slides were already re-hosted above)
+      let cloudinaryImageUrl = media[0]?.thumbnailUrl || "";
+      if (!cloudinaryImageUrl) {
+        try {
+          console.log("⬇️ Downloading Instagram image from URL:", imageUrl);
+          // Download the image with enhanced headers
+          const response = await http.request({
+            method: "GET",
+            url: imageUrl,
+            responseType: "arraybuffer",
+            headers: {
+              "User-Agent":
+                "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/14.0.3 Mobile/15E148 Safari/604.1",
+              Referer: "https://www.instagram.com/",
+              Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+              "Accept-Language": "en-US,en;q=0.9",
+              "Cache-Control": "no-cache",
+              Origin: "https://www.instagram.com",
+            },
+            timeout: 15000,
+          });
+
+          console.log(
+            "✅ Successfully downloaded image, content length:",
+            response.data.length,
+            "bytes"
+          );
+          console.log("Content-Type:", response.headers["content-type"]);
+
+          if (!response.data || response.data.length < 1000) {
+            throw new Error("Downloaded image is too small or empty");
+          }
+
+          // Check if the image is a reasonable size for a post (avoid tiny profile pics)
+          const isReasonableSize = response.data.length > 10000; // Most profile pics are smaller than 10KB
+
+          if (!isReasonableSize) {
+            console.log(
+              "⚠️ Downloaded image seems too small for a post image, might be a profile picture"
+            );
+            console.log("🔍 Searching for a better image...");
+
+            // Try to re-extract with a stronger focus on post images
+            // Here we can implement a more aggressive search through the HTML for larger images
+            let betterImageFound = false;
+
+            // Look for "high resolution" or "HD" markers in the HTML
+            const hdImagePattern =
+              /https:\/\/[^"']+?(?:1080x1080|high_resolution|hd|1080p)[^"']+\.(?:jpg|jpeg|png)/i;
+            const hdMatch = data.match(hdImagePattern);
+
+            if (hdMatch && hdMatch[0]) {
+              console.log("✅ Found HD image match:", hdMatch[0]);
+
+              try {
+                // Try to download this better image
+                const hdResponse = await http.request({
+                  method: "GET",
+                  url: hdMatch[0],
+                  responseType: "arraybuffer",
+                  headers: {
+                    "User-Agent":
+                      "Mozilla/5.0 (iPhone; CPU iPhone OS 14_6 like Mac OS X) AppleWebKit/605.1.15",
+                    Referer: "https://www.instagram.com/",
+                    Accept: "image/webp,image/apng,image/*,*/*;q=0.8",
+                  },
+                  timeout: 15000,
+                });
+
+                if (
+                  hdResponse.data &&
+                  hdResponse.data.length > response.data.length
+                ) {
+                  console.log(
+                    "✅ Successfully downloaded better quality image, size:",
+                    hdResponse.data.length,
+                    "bytes"
+                  );
+                  response.data = hdResponse.data; // Replace with better image
+                  betterImageFound = true;
+                }
+              } catch (hdError) {
+                console.error(
+                  "❌ Error downloading better quality image:",
+                  hdError.message
+                );
+              }
+            }
+
+            if (!betterImageFound) {
+              console.log(
+                "⚠️ Could not find a better image, continuing with the original one"
+              );
+            }
+          }
+
+          // Create a noop function that does nothing for setUploading
+          const noopSetUploading = (state) => {
+            console.log(`📊 Upload state: ${state ? "uploading" : "complete"}`);
+          };
+
+          // Upload to Cloudinary using the buffer directly
+          console.log("☁️ Uploading to Cloudinary...");
+          cloudinaryImageUrl = await uploadImage(
+            Buffer.from(response.data),
+            noopSetUploading
+          );
+
+          console.log(
+            "✅ Successfully uploaded image to Cloudinary:",
+            cloudinaryImageUrl
+          );
+        } catch (uploadError) {
+          console.error("❌ Error uploading image to Cloudinary:", uploadError);
+
+          // Log more details about the error
+          if (uploadError.response) {
+            console.error("Response status:", uploadError.response.status);
+            console.error(
+              "Response headers:",
+              JSON.stringify(uploadError.response.headers, null, 2)
+            );
+          }
+
+          // Try direct URL method as fallback
+          try {
+            console.log("🔄 Trying fallback: direct URL upload to Cloudinary");
+            const noopSetUploading = (state) => {
+              console.log(
+                `📊 Upload state: ${state ? "uploading" : "complete"}`
+              );
+            };
+
+            cloudinaryImageUrl = await uploadImage(imageUrl, noopSetUploading);
+            console.log(
+              "✅ Fallback succeeded, Cloudinary URL:",
+              cloudinaryImageUrl
+            );
+          } catch (fallbackError) {
+            console.error("❌ Fallback upload also failed:", fallbackError);
+            // Fallback to original image URL if both Cloudinary uploads fail
+            console.log("⚠️ Using original Instagram image URL as fallback");
+            cloudinaryImageUrl = imageUrl;
+          }
+        }
+      }
+
+      const originalPostUrl = isEmbedUrl
+        ? processedUrl.replace("/embed/", "/")
+        : processedUrl;
+
+      return {
+        post: {
+          url: postUrl,
+          imageUrl: cloudinaryImageUrl || imageUrl,
+          media,
+          mediaType: videoUrl && media.length === 0 ? "video" : "image",
+          videoPath: media.length === 0 ? videoUrl || "" : "",
+          embedCode: originalEmbedCode,
+          title: "",
+          description: "",
+        },
+        extractionMethod: extractionMethod,
+        message:
+          media.length > 1
+            ? `Instagram carousel with ${media.length} slides added successfully`
+            : isReel
+            ? "Instagram Reel added successfully"
+            : "Instagram post image added successfully",
+      };
+    } catch (error) {
+      if (error.statusCode) throw error;
+
+      console.error("❌ Instagram scraping error:", error);
+      // Log detailed error information
+      if (error.response) {
+        console.error("Response status:", error.response.status);
+        console.error(
+          "Response headers:",
+          JSON.stringify(error.response.headers, null, 2)
+        );
+      }
+      throw createHttpError(
+        404,
+        "Error accessing Instagram post. It may be private or not publicly accessible.",
+        error
+      );
+    }
+  };
+
+  return { extract, refreshVideoPath };
+};
+
+module.exports = {
+  createInstagramService,
+  normalizeInstagramUrl,
+  parseInstagramPage,
+  findCarouselSlides,
+  findVideoUrl,
+  getCdnUrlExpiry,
+};
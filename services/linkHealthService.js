@@ -0,0 +1,123 @@
+const Post = require("../models/Post");
+const createHttpError = require("../utils/createHttpError");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+const { getPlatform } = require("../platforms");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const { getReferer } = require("./imageProxyService");
+
+// Posts checked at once by the scheduled checker
+const CHECK_CONCURRENCY = 4;
+
+// Only these answers mean the resource is gone. Anything else (rate limits,
+// bot walls, timeouts) says nothing about the post and is not held against it.
+const GONE_STATUSES = [404, 410];
+
+// Builds the link health checker. Pass `http` to swap the HTTP client.
+const createLinkHealthService = ({ http = defaultHttp } = {}) => {
+  // Returns the reason the post page is gone, or null when it loads
+  const verifyPostUrl = async (post) => {
+    const response = await http.get(post.url, {
+      headers: browserHeaders.page,
+      validateStatus: () => true,
+    });
+
+    if (GONE_STATUSES.includes(response.status)) {
+      return "Post was removed";
+    }
+    if (response.status >= 400) {
+      throw createHttpError(
+        response.status,
+        `Could not check post page (status ${response.status})`
+      );
+    }
+    return null;
+  };
+
+  // Returns the reason the stored image is gone, or null when it loads.
+  // Only 404 and 410 count as gone; other errors make the check inconclusive.
+  const verifyImageAccessibility = async (imageUrl) => {
+    const response = await http.head(imageUrl, {
+      timeout: 5000,
+      headers: { ...browserHeaders.image, Referer: getReferer(imageUrl) },
+      validateStatus: () => true,
+    });
+
+    if (GONE_STATUSES.includes(response.status)) {
+      return "Image is no longer available";
+    }
+    // 403 is inconclusive: CDNs such as fbcdn refuse hotlinked requests
+    // for images that still load in the feed
+    if (response.status >= 400) {
+      throw createHttpError(
+        response.status,
+        `Could not check image (status ${response.status})`
+      );
+    }
+    return null;
+  };
+
+  // Checks a post and its image. Returns the reason the post is unavailable,
+  // or null when it is fine; throws when the check was inconclusive.
+  const checkPost = async (post) => {
+    const platform = getPlatform(post.platform);
+    const postReason = platform.checkAvailability
+      ? await platform.checkAvailability(post)
+      : await verifyPostUrl(post);
+    if (postReason) return postReason;
+
+    const imageUrl = post.imageUrl || post.thumbnailUrl;
+    return imageUrl ? verifyImageAccessibility(imageUrl) : null;
+  };
+
+  return { verifyPostUrl, verifyImageAccessibility, checkPost };
+};
+
+const linkHealthService = createLinkHealthService();
+
+// Checks a post and saves the outcome. An inconclusive check keeps the
+// current flag. Returns "available", "unavailable" or "unknown".
+const checkAndSavePost = async (post) => {
+  const update = { lastCheckedAt: new Date() };
+  let status;
+
+  try {
+    const reason = await linkHealthService.checkPost(post);
+    update.unavailable = !!reason;
+    update.unavailableReason = reason;
+    status = reason ? "unavailable" : "available";
+  } catch (error) {
+    console.error(`Could not check post ${post._id}:`, error.message);
+    status = "unknown";
+  }
+
+  await Post.updateOne({ _id: post._id }, update);
+  return status;
+};
+
+// Checks up to `limit` posts not checked within `maxAge` milliseconds,
+// least recently checked first. Returns counts per outcome.
+const checkStalePosts = async ({ maxAge, limit }) => {
+  const cutoff = new Date(Date.now() - maxAge);
+  const posts = await Post.find({
+    $or: [{ lastCheckedAt: { $lt: cutoff } }, { lastCheckedAt: null }],
+  })
+    .sort({ lastCheckedAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const statuses = await mapWithConcurrency(
+    posts,
+    CHECK_CONCURRENCY,
+    checkAndSavePost
+  );
+
+  const counts = { available: 0, unavailable: 0, unknown: 0 };
+  statuses.forEach((status) => counts[status]++);
+  return counts;
+};
+
+module.exports = {
+  createLinkHealthService,
+  checkAndSavePost,
+  checkStalePosts,
+};
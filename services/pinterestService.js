@@ -0,0 +1,189 @@
+const cheerio = require("cheerio");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+
+const headers = {
+  ...browserHeaders.page,
+  Referer: "https://www.pinterest.com/",
+};
+
+// Outbound links that point back to Pinterest are not product pages
+const isExternalLink = (link) =>
+  !!link &&
+  /^https?:\/\//i.test(link) &&
+  !/^https?:\/\/([a-z0-9-]+\.)*(pinterest\.[a-z.]+|pin\.it)\//i.test(link);
+
+// Reads pin data from a widgets API response, which includes the outbound link
+const parsePinWidgetData = (data) => {
+  const pin = data?.data?.[0];
+  if (!pin) {
+    throw new Error("Pin not found in Pinterest widget data");
+  }
+
+  const images = pin.images || {};
+  const image =
+    images.orig || images["736x"] || images["564x"] || images["237x"];
+
+  return {
+    imageUrl: image?.url || "",
+    title: pin.grid_title || pin.title || "",
+    description: pin.description || "",
+    link: pin.link || "",
+  };
+};
+
+// Reads the image, title and outbound link from a pin page's Open Graph
+// tags and embedded JSON
+const parsePinPage = (html) => {
+  const $ = cheerio.load(html);
+
+  let link =
+    $('meta[property="pinterestapp:source"]').attr("content") ||
+    $('meta[property="og:see_also"]').attr("content") ||
+    "";
+
+  if (!isExternalLink(link)) {
+    const linkMatch = html.match(/"link":"(https?:[^"]+)"/);
+    link = linkMatch ? JSON.parse(`"${linkMatch[1]}"`) : "";
+  }
+
+  return {
+    imageUrl:
+      $('meta[property="og:image"]').attr("content") ||
+      $('meta[name="twitter:image:src"]').attr("content") ||
+      "",
+    title: $('meta[property="og:title"]').attr("content") || "",
+    description: $('meta[property="og:description"]').attr("content") || "",
+    link,
+  };
+};
+
+// Builds the Pinterest service. `http` and `upload` default to the shared
+// HTTP client and Cloudinary upload; pass stubs to run offline.
+const createPinterestService = ({
+  http = defaultHttp,
+  upload = uploadFile,
+} = {}) => {
+  // Pin data from the public widgets API
+  const fetchPinWidgetData = async (pinId) => {
+    const { data } = await http.get(
+      `https://widgets.pinterest.com/v3/pidgets/pins/info/?pin_ids=${pinId}`,
+      { headers, timeout: 10000 }
+    );
+    return parsePinWidgetData(data);
+  };
+
+  // Fallback: read the pin page itself
+  const fetchPinPageData = async (pinUrl) => {
+    const { data: html } = await http.get(pinUrl, {
+      headers,
+      timeout: 15000,
+      maxRedirects: 5,
+    });
+    return parsePinPage(html);
+  };
+
+  const extract = async ({ url: postUrl, upload: uploadImage = upload }) => {
+    let processedUrl = postUrl.trim();
+
+    // Resolve pin.it short links to the full pin URL
+    if (/^https?:\/\/pin\.it\//i.test(processedUrl)) {
+      try {
+        const response = await http.get(processedUrl, {
+          headers,
+          timeout: 10000,
+          maxRedirects: 5,
+          validateStatus: function (status) {
+            return status < 500;
+          },
+        });
+        const resolvedUrl = response.request?.res?.responseUrl;
+        if (resolvedUrl) {
+          processedUrl = resolvedUrl;
+          console.log("Resolved pin.it short URL to:", processedUrl);
+        }
+      } catch (error) {
+        console.error("Error resolving pin.it short URL:", error.message);
+      }
+    }
+
+    const pinIdMatch = processedUrl.match(
+      /^https?:\/\/([a-z0-9-]+\.)?pinterest\.[a-z.]+\/pin\/([^/?#]+)/i
+    );
+    if (!pinIdMatch) {
+      throw createHttpError(
+        400,
+        "Invalid Pinterest URL. Must be a pin URL or pin.it link"
+      );
+    }
+
+    // Pin URLs may carry a slug before the numeric id, e.g. /pin/red-dress--12345/
+    const pinId = pinIdMatch[2].split("--").pop();
+    const normalizedUrl = `https://www.pinterest.com/pin/${pinId}/`;
+
+    let pin = null;
+    try {
+      pin = await fetchPinWidgetData(pinId);
+    } catch (error) {
+      console.error("Pinterest widget API error:", error.message);
+    }
+
+    if (!pin || !pin.imageUrl || !isExternalLink(pin.link)) {
+      try {
+        const pagePin = await fetchPinPageData(normalizedUrl);
+        pin = {
+          imageUrl: pin?.imageUrl || pagePin.imageUrl,
+          title: pin?.title || pagePin.title,
+          description: pin?.description || pagePin.description,
+          link: isExternalLink(pin?.link) ? pin.link : pagePin.link,
+        };
+      } catch (error) {
+        console.error("Pinterest page scraping error:", error.message);
+      }
+    }
+
+    if (!pin || !pin.imageUrl) {
+      throw createHttpError(
+        404,
+        "Could not fetch Pinterest pin. It may be private or deleted."
+      );
+    }
+
+    // Keep our own copy of the pin image
+    let cloudinaryImageUrl = "";
+    try {
+      cloudinaryImageUrl = await uploadImage(pin.imageUrl, () => {});
+    } catch (uploadError) {
+      console.error(
+        "Error uploading Pinterest image to Cloudinary:",
+        uploadError
+      );
+      cloudinaryImageUrl = pin.imageUrl;
+    }
+
+    const destinationUrl = isExternalLink(pin.link) ? pin.link : "";
+
+    return {
+      post: {
+        url: normalizedUrl,
+        pinId,
+        imageUrl: cloudinaryImageUrl,
+        title: pin.title,
+        description: pin.description,
+        destinationUrl,
+        productLink: destinationUrl,
+      },
+      message: "Pinterest pin added successfully",
+    };
+  };
+
+  return { extract };
+};
+
+module.exports = {
+  createPinterestService,
+  parsePinWidgetData,
+  parsePinPage,
+  isExternalLink,
+};
@@ -0,0 +1,147 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Click = require("../models/click");
+
+// Fields a product tag on a post copies from its catalog product
+const toPostProductFields = (product) => ({
+  product: product._id,
+  name: product.title,
+  url: product.url,
+  price: product.price,
+  currency: product.currency,
+  image: product.image,
+  availability: product.availability,
+});
+
+// Product card of a post linked to a catalog product. It is copied from
+// the product rather than read from the product page, so store price and
+// stock changes reach the feed on the next sync.
+const toProductMeta = (product) => ({
+  url: product.url,
+  title: product.title,
+  image: product.image,
+  price: product.price,
+  currency: product.currency,
+  availability: product.availability,
+  error: null,
+  fetchedAt: new Date(),
+});
+
+// Links a post to a catalog product, or unlinks it when product is null.
+// Returns the updated post, or null when the user has no such post.
+const linkPostToProduct = (userId, postId, product) =>
+  Post.findOneAndUpdate(
+    { _id: postId, user: userId },
+    product
+      ? {
+          product: product._id,
+          productLink: product.url,
+          productMeta: toProductMeta(product),
+          $unset: { productLinkHealth: 1 },
+        }
+      : { product: null },
+    { new: true }
+  );
+
+// Copies a catalog product's current fields to every post linking to it,
+// as the post's product card and as product tags.
+// The product link health is reset when the URL changed.
+const syncProductToPosts = async (product, urlChanged) => {
+  await Post.updateMany(
+    { product: product._id },
+    {
+      productLink: product.url,
+      productMeta: toProductMeta(product),
+      ...(urlChanged && { $unset: { productLinkHealth: 1 } }),
+    }
+  );
+
+  const { product: productId, ...fields } = toPostProductFields(product);
+  const tagUpdate = {};
+  Object.entries(fields).forEach(([field, value]) => {
+    tagUpdate[`products.$[tag].${field}`] = value;
+  });
+  await Post.updateMany(
+    { "products.product": productId },
+    { $set: tagUpdate },
+    { arrayFilters: [{ "tag.product": productId }] }
+  );
+};
+
+// Unlinks a deleted catalog product. Posts keep the last copied URL and
+// tag fields so the feed does not change.
+const detachProductFromPosts = async (productId) => {
+  await Post.updateMany({ product: productId }, { product: null });
+  await Post.updateMany(
+    { "products.product": productId },
+    { $set: { "products.$[tag].product": null } },
+    { arrayFilters: [{ "tag.product": productId }] }
+  );
+};
+
+// Clicks on the posts linking to each catalog product, either as the post's
+// product or as a tag. Returns [{ product, posts, clicks }], most clicked first.
+const getProductClickTotals = async (userId, products) => {
+  const productIds = products.map((product) => product._id);
+  const posts = await Post.find({
+    user: userId,
+    $or: [
+      { product: { $in: productIds } },
+      { "products.product": { $in: productIds } },
+    ],
+  })
+    .select("product products.product")
+    .lean();
+
+  const postIdsByProduct = new Map(
+    productIds.map((id) => [id.toString(), new Set()])
+  );
+  posts.forEach((post) => {
+    const linked = [post.product, ...post.products.map((tag) => tag.product)];
+    linked.forEach((id) => {
+      if (id && postIdsByProduct.has(id.toString())) {
+        postIdsByProduct.get(id.toString()).add(post._id.toString());
+      }
+    });
+  });
+
+  const clicks = await Click.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(userId),
+        post: { $in: posts.map((post) => post._id) },
+      },
+    },
+    { $group: { _id: "$post", clicks: { $sum: 1 } } },
+  ]);
+  const clicksByPost = new Map(
+    clicks.map((entry) => [entry._id.toString(), entry.clicks])
+  );
+
+  return products
+    .map((product) => {
+      const postIds = Array.from(postIdsByProduct.get(product._id.toString()));
+      return {
+        product: {
+          _id: product._id,
+          title: product.title,
+          url: product.url,
+          image: product.image,
+        },
+        posts: postIds.length,
+        clicks: postIds.reduce(
+          (total, postId) => total + (clicksByPost.get(postId) || 0),
+          0
+        ),
+      };
+    })
+    .sort((a, b) => b.clicks - a.clicks);
+};
+
+module.exports = {
+  toPostProductFields,
+  linkPostToProduct,
+  syncProductToPosts,
+  detachProductFromPosts,
+  getProductClickTotals,
+};
@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const { toFeedItem } = require("../platforms");
+
+// Google Merchant Center allows up to 10 additional images per item
+const MAX_ADDITIONAL_IMAGES = 10;
+
+const MERCHANT_AVAILABILITY = {
+  in_stock: "in stock",
+  out_of_stock: "out of stock",
+  preorder: "preorder",
+};
+
+const CSV_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "availability",
+  "price",
+  "condition",
+  "identifier_exists",
+];
+
+// Merchant Center rejects items without these, so they are left out of the
+// feed and reported to the user instead
+const REQUIRED_FIELDS = ["price", "availability"];
+
+// Stable id for a product known only by its URL
+const getUrlId = (url) =>
+  crypto.createHash("sha1").update(url).digest("hex").slice(0, 16);
+
+// "89 EUR" -> "89.00 EUR"; null when the price is unknown
+const formatPrice = (price, currency) =>
+  price === null || price === undefined || !currency
+    ? null
+    : `${Number(price).toFixed(2)} ${currency}`;
+
+// Collects the products tagged on the user's posts: each post's productLink
+// (with the fetched product card) and its product tags. A product used on
+// several posts becomes one item with every post image as an additional image.
+// Returns { items, skipped }: skipped lists the products left out for lacking
+// a price or a known availability, with the `missing` fields.
+const getFeedItems = async (userId) => {
+  const posts = await Post.find({
+    user: userId,
+    unavailable: { $ne: true },
+    $or: [
+      { productLink: { $nin: ["", null] } },
+      { "products.0": { $exists: true } },
+    ],
+  })
+    .sort({ addedAt: -1 })
+    .lean();
+
+  const items = new Map();
+  const addProduct = (post, product) => {
+    const postImage = toFeedItem(post).imageUrl;
+    const existing = items.get(product.link);
+
+    if (existing) {
+      if (postImage && !existing.additionalImages.includes(postImage)) {
+        existing.additionalImages.push(postImage);
+      }
+      return;
+    }
+
+    items.set(product.link, {
+      id: product.id || getUrlId(product.link),
+      title: product.title || post.title || "Product",
+      description: post.description || product.title || post.title || "",
+      link: product.link,
+      imageLink: product.image || postImage || "",
+      additionalImages: product.image && postImage ? [postImage] : [],
+      availability: MERCHANT_AVAILABILITY[product.availability] || null,
+      price: formatPrice(product.price, product.currency),
+    });
+  };
+
+  posts.forEach((post) => {
+    if (post.productLink) {
+      // productMeta read from an earlier link describes another product
+      const meta =
+        post.productMeta?.url === post.productLink ? post.productMeta : {};
+      addProduct(post, {
+        id: post.product ? post.product.toString() : null,
+        link: post.productLink,
+        title: meta.title,
+        image: meta.image,
+        price: meta.price,
+        currency: meta.currency,
+        availability: meta.availability,
+      });
+    }
+    (post.products || []).forEach((tag) => {
+      addProduct(post, {
+        id: tag.product ? tag.product.toString() : null,
+        link: tag.url,
+        title: tag.name,
+        image: tag.image,
+        price: tag.price,
+        currency: tag.currency,
+        availability: tag.availability,
+      });
+    });
+  });
+
+  const feed = { items: [], skipped: [] };
+  items.forEach((item) => {
+    const missing = REQUIRED_FIELDS.filter((field) => !item[field]);
+    if (missing.length) {
+      feed.skipped.push({
+        id: item.id,
+        title: item.title,
+        link: item.link,
+        missing,
+      });
+      return;
+    }
+    feed.items.push({
+      ...item,
+      additionalImages: item.additionalImages
+        .filter((image) => image !== item.imageLink)
+        .slice(0, MAX_ADDITIONAL_IMAGES),
+    });
+  });
+  return feed;
+};
+
+// Gives the user a new secret feed token, which stops the old feed URLs
+const resetProductFeedToken = async (userId) => {
+  const token = crypto.randomBytes(24).toString("hex");
+  await User.updateOne({ _id: userId }, { productFeedToken: token });
+  return token;
+};
+
+// The user's secret feed token, created the first time
+const getProductFeedToken = async (userId) => {
+  const user = await User.findById(userId).select("+productFeedToken").lean();
+  return user?.productFeedToken || resetProductFeedToken(userId);
+};
+
+// The user a secret feed URL belongs to, or null
+const findUserByProductFeedToken = async (token) =>
+  /^[a-f0-9]{48}$/.test(token)
+    ? User.findOne({ productFeedToken: token })
+    : null;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// RSS 2.0 feed in the Google Merchant Center format
+const toMerchantXml = (items, { title, link }) => {
+  const tag = (name, value) =>
+    value ? `      <g:${name}>${escapeXml(value)}</g:${name}>\n` : "";
+
+  const entries = items
+    .map(
+      (item) =>
+        "    <item>\n" +
+        tag("id", item.id) +
+        tag("title", item.title) +
+        tag("description", item.description) +
+        tag("link", item.link) +
+        tag("image_link", item.imageLink) +
+        item.additionalImages
+          .map((image) => tag("additional_image_link", image))
+          .join("") +
+        tag("availability", item.availability) +
+        tag("price", item.price) +
+        tag("condition", "new") +
+        tag("identifier_exists", "no") +
+        "    </item>\n"
+    )
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">\n' +
+    "  <channel>\n" +
+    `    <title>${escapeXml(title)}</title>\n` +
+    `    <link>${escapeXml(link)}</link>\n` +
+    `    <description>${escapeXml(title)}</description>\n` +
+    entries +
+    "  </channel>\n" +
+    "</rss>\n"
+  );
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV feed with Google Merchant Center column names. Additional images share
+// one comma-separated column, as Merchant Center expects.
+const toMerchantCsv = (items) => {
+  const rows = items.map((item) =>
+    [
+      item.id,
+      item.title,
+      item.description,
+      item.link,
+      item.imageLink,
+      item.additionalImages.join(","),
+      item.availability,
+      item.price,
+      "new",
+      "no",
+    ]
+      .map(escapeCsv)
+      .join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+};
+
+module.exports = {
+  getFeedItems,
+  toMerchantXml,
+  toMerchantCsv,
+  getProductFeedToken,
+  resetProductFeedToken,
+  findUserByProductFeedToken,
+};
@@ -0,0 +1,270 @@
+const cheerio = require("cheerio");
+const Post = require("../models/Post");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+
+// Product pages requested at once by the scheduled checker
+const CHECK_CONCURRENCY = 4;
+
+const GONE_STATUSES = [404, 410];
+
+// schema.org availability values that mean the product cannot be bought
+const OUT_OF_STOCK_PATTERN = /(OutOfStock|SoldOut|Discontinued)\b/i;
+
+// Availability values of every JSON-LD offer on the page, including each
+// variant of a ProductGroup and the offers inside an AggregateOffer
+const findJsonLdAvailabilities = (html) => {
+  const $ = cheerio.load(html);
+  const availabilities = [];
+
+  const visitOffers = (offers) => {
+    [].concat(offers || []).forEach((offer) => {
+      if (!offer || typeof offer !== "object") return;
+      if (typeof offer.availability === "string") {
+        availabilities.push(offer.availability);
+      }
+      visitOffers(offer.offers);
+    });
+  };
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+      return;
+    }
+    visitOffers(node.offers);
+    visit(node["@graph"]);
+    visit(node.hasVariant);
+  };
+
+  $('script[type="application/ld+json"]').each((i, element) => {
+    try {
+      visit(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Ignore malformed blocks; shops often ship broken JSON-LD
+    }
+  });
+  return availabilities;
+};
+
+// Looks for structured out-of-stock markup: JSON-LD offers, schema.org
+// microdata and the product:availability / og:availability meta tags.
+// A product with several offers (e.g. sizes) is only out of stock when
+// every offer is. Returns the matching signal, or null.
+const findOutOfStockSignal = (html) => {
+  if (!html || typeof html !== "string") return null;
+
+  const jsonLdAvailabilities = findJsonLdAvailabilities(html);
+  if (jsonLdAvailabilities.length) {
+    const soldOut = jsonLdAvailabilities.map((value) =>
+      value.match(OUT_OF_STOCK_PATTERN)
+    );
+    return soldOut.every(Boolean)
+      ? `json_ld_${soldOut[0][1].toLowerCase()}`
+      : null;
+  }
+
+  const microdataValues = Array.from(
+    html.matchAll(
+      /itemprop=["']availability["'][^>]*(?:href|content)=["']([^"']+)["']/gi
+    ),
+    (match) => match[1]
+  );
+  if (
+    microdataValues.length &&
+    microdataValues.every((value) => OUT_OF_STOCK_PATTERN.test(value))
+  ) {
+    return "microdata_availability";
+  }
+
+  const metaMatch = html.match(
+    /<meta[^>]+property=["'](?:product|og):availability["'][^>]+content=["']([^"']+)["']/i
+  );
+  if (
+    metaMatch &&
+    /^(out of stock|oos|sold out|discontinued)$/i.test(metaMatch[1].trim())
+  ) {
+    return "meta_availability";
+  }
+
+  return null;
+};
+
+// Compares two URLs ignoring the query string, hash and trailing slash
+const isSamePage = (a, b) => {
+  try {
+    const first = new URL(a);
+    const second = new URL(b);
+    const path = (url) => url.pathname.replace(/\/+$/, "");
+    return (
+      first.hostname.replace(/^www\./, "") ===
+        second.hostname.replace(/^www\./, "") && path(first) === path(second)
+    );
+  } catch (error) {
+    return a === b;
+  }
+};
+
+// Builds the product link checker. Pass `http` to swap the HTTP client.
+const createProductLinkService = ({ http = defaultHttp } = {}) => {
+  // Requests a product page, following redirects. Returns
+  // { status, statusCode, finalUrl, outOfStockSignal, error } where status is
+  // ok, out_of_stock, redirected, broken or unknown.
+  const checkProductLink = async (url) => {
+    try {
+      const response = await http.get(url, {
+        headers: browserHeaders.page,
+        responseType: "text",
+        maxRedirects: 10,
+        maxContentLength: 5 * 1024 * 1024,
+        validateStatus: () => true,
+      });
+      const finalUrl = response.request?.res?.responseUrl || url;
+      const result = {
+        statusCode: response.status,
+        finalUrl,
+        outOfStockSignal: null,
+        error: null,
+      };
+
+      if (GONE_STATUSES.includes(response.status)) {
+        return { ...result, status: "broken" };
+      }
+      // Shops often block bots with 403/429; that says nothing about the page
+      if (response.status >= 400) {
+        return { ...result, status: "unknown" };
+      }
+
+      const outOfStockSignal = findOutOfStockSignal(response.data);
+      if (outOfStockSignal) {
+        return { ...result, status: "out_of_stock", outOfStockSignal };
+      }
+
+      // Removed products often redirect to the home or collection page
+      if (!isSamePage(url, finalUrl)) {
+        return { ...result, status: "redirected" };
+      }
+
+      return { ...result, status: "ok" };
+    } catch (error) {
+      return {
+        status: "unknown",
+        statusCode: error.response ? error.response.status : null,
+        finalUrl: null,
+        outOfStockSignal: null,
+        error: error.message,
+      };
+    }
+  };
+
+  return { checkProductLink };
+};
+
+const productLinkService = createProductLinkService();
+
+// Checks one product link and saves the outcome on every post using it
+const checkAndSaveProductLink = async (productLink) => {
+  const result = await productLinkService.checkProductLink(productLink);
+  await Post.updateMany(
+    { productLink },
+    { productLinkHealth: { ...result, checkedAt: new Date() } }
+  );
+  return result;
+};
+
+// Checks up to `limit` distinct product links not checked within `maxAge`
+// milliseconds. Each link is requested once however many posts share it.
+// Returns counts per status.
+const checkStaleProductLinks = async ({ maxAge, limit }) => {
+  const cutoff = new Date(Date.now() - maxAge);
+  const links = await Post.aggregate([
+    {
+      $match: {
+        productLink: { $nin: ["", null] },
+        $or: [
+          { "productLinkHealth.checkedAt": { $lt: cutoff } },
+          { "productLinkHealth.checkedAt": null },
+        ],
+      },
+    },
+    {
+      $group: {
+        _id: "$productLink",
+        checkedAt: { $min: "$productLinkHealth.checkedAt" },
+      },
+    },
+    { $sort: { checkedAt: 1 } },
+    { $limit: limit },
+  ]);
+
+  const results = await mapWithConcurrency(links, CHECK_CONCURRENCY, (link) =>
+    checkAndSaveProductLink(link._id)
+  );
+
+  const counts = {};
+  results.forEach(({ status }) => {
+    counts[status] = (counts[status] || 0) + 1;
+  });
+  return counts;
+};
+
+// Groups a user's product links by health for the dashboard. Links with a
+// problem come first, each with the posts that use it.
+const getProductLinkReport = async (userId) => {
+  const posts = await Post.find({
+    user: userId,
+    productLink: { $nin: ["", null] },
+  })
+    .select("productLink productLinkHealth title url platform")
+    .lean();
+
+  const links = new Map();
+  posts.forEach((post) => {
+    if (!links.has(post.productLink)) {
+      const health = post.productLinkHealth || {};
+      links.set(post.productLink, {
+        productLink: post.productLink,
+        status: health.status || "unchecked",
+        statusCode: health.statusCode ?? null,
+        finalUrl: health.finalUrl || null,
+        outOfStockSignal: health.outOfStockSignal || null,
+        error: health.error || null,
+        checkedAt: health.checkedAt || null,
+        posts: [],
+      });
+    }
+    links.get(post.productLink).posts.push({
+      _id: post._id,
+      title: post.title,
+      url: post.url,
+      platform: post.platform,
+    });
+  });
+
+  const statusOrder = [
+    "broken",
+    "out_of_stock",
+    "redirected",
+    "unknown",
+    "unchecked",
+    "ok",
+  ];
+  const report = Array.from(links.values()).sort(
+    (a, b) => statusOrder.indexOf(a.status) - statusOrder.indexOf(b.status)
+  );
+
+  const summary = {};
+  report.forEach(({ status }) => {
+    summary[status] = (summary[status] || 0) + 1;
+  });
+
+  return { summary, links: report };
+};
+
+module.exports = {
+  createProductLinkService,
+  findOutOfStockSignal,
+  checkAndSaveProductLink,
+  checkStaleProductLinks,
+  getProductLinkReport,
+};
@@ -0,0 +1,210 @@
+const cheerio = require("cheerio");
+const Post = require("../models/Post");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+
+// Product pages can be slow; the owner is waiting on the save
+const FETCH_TIMEOUT = 8000;
+
+// schema.org and Open Graph availability values, normalized
+const AVAILABILITY = {
+  instock: "in_stock",
+  limitedavailability: "in_stock",
+  onlineonly: "in_stock",
+  outofstock: "out_of_stock",
+  oos: "out_of_stock",
+  soldout: "out_of_stock",
+  discontinued: "out_of_stock",
+  preorder: "preorder",
+  presale: "preorder",
+  backorder: "preorder",
+};
+
+const normalizeAvailability = (value) => {
+  if (!value || typeof value !== "string") return "";
+  const key = value
+    .replace(/^https?:\/\/schema\.org\//i, "")
+    .replace(/[\s_-]/g, "")
+    .toLowerCase();
+  return AVAILABILITY[key] || "";
+};
+
+// Reads "1,299.00", "1.299,00" or 19.5 as a number; the last separator
+// followed by one or two digits is the decimal point
+const parsePrice = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  if (!value || typeof value !== "string") return null;
+
+  const cleaned = value.replace(/[^\d.,]/g, "");
+  const decimalMatch = cleaned.match(/[.,](\d{1,2})$/);
+  const whole = (
+    decimalMatch ? cleaned.slice(0, -decimalMatch[0].length) : cleaned
+  ).replace(/[.,]/g, "");
+  if (!whole && !decimalMatch) return null;
+
+  const price = Number(`${whole || "0"}.${decimalMatch ? decimalMatch[1] : 0}`);
+  return Number.isFinite(price) ? price : null;
+};
+
+const resolveUrl = (url, pageUrl) => {
+  if (!url || typeof url !== "string") return "";
+  try {
+    return new URL(url, pageUrl).href;
+  } catch (error) {
+    return "";
+  }
+};
+
+const hasType = (node, type) =>
+  node &&
+  (node["@type"] === type ||
+    (Array.isArray(node["@type"]) && node["@type"].includes(type)));
+
+// Finds the first schema.org Product in the page's JSON-LD blocks, looking
+// inside arrays, @graph and ProductGroup variants
+const findJsonLdProduct = ($) => {
+  const visit = (node) => {
+    if (!node || typeof node !== "object") return null;
+    if (Array.isArray(node)) {
+      for (const child of node) {
+        const found = visit(child);
+        if (found) return found;
+      }
+      return null;
+    }
+    if (hasType(node, "Product")) return node;
+    return visit(node["@graph"]) || visit(node.hasVariant);
+  };
+
+  let product = null;
+  $('script[type="application/ld+json"]').each((i, element) => {
+    if (product) return;
+    try {
+      product = visit(JSON.parse($(element).contents().text()));
+    } catch (error) {
+      // Ignore malformed blocks; shops often ship broken JSON-LD
+    }
+  });
+  return product;
+};
+
+const getJsonLdImage = (image) => {
+  if (Array.isArray(image)) return getJsonLdImage(image[0]);
+  if (image && typeof image === "object") return image.url || "";
+  return image || "";
+};
+
+// Offers may be a single Offer, a list of them or an AggregateOffer
+const getJsonLdOffer = (offers) => {
+  const offer = Array.isArray(offers) ? offers[0] : offers;
+  if (!offer || typeof offer !== "object") return {};
+  return {
+    price: parsePrice(offer.price ?? offer.lowPrice),
+    currency: offer.priceCurrency || "",
+    availability: normalizeAvailability(offer.availability),
+  };
+};
+
+// Parses a product page. Returns { title, image, price, currency,
+// availability }, preferring schema.org Product JSON-LD and falling back to
+// Open Graph product tags; missing values are "" (or null for price).
+const parseProductPage = (html, pageUrl) => {
+  const $ = cheerio.load(html || "");
+  const meta = (...names) => {
+    for (const name of names) {
+      const content = $(`meta[property="${name}"], meta[name="${name}"]`).attr(
+        "content"
+      );
+      if (content) return content.trim();
+    }
+    return "";
+  };
+
+  const product = findJsonLdProduct($) || {};
+  const offer = getJsonLdOffer(product.offers);
+
+  return {
+    title:
+      (typeof product.name === "string" && product.name.trim()) ||
+      meta("og:title", "twitter:title") ||
+      $("title").first().text().trim(),
+    image: resolveUrl(
+      getJsonLdImage(product.image) || meta("og:image", "twitter:image"),
+      pageUrl
+    ),
+    price:
+      offer.price ??
+      parsePrice(meta("product:price:amount", "og:price:amount")),
+    currency: (
+      offer.currency || meta("product:price:currency", "og:price:currency")
+    ).toUpperCase(),
+    availability:
+      offer.availability ||
+      normalizeAvailability(meta("product:availability", "og:availability")),
+  };
+};
+
+// Builds the product metadata fetcher. Pass `http` to swap the HTTP client.
+const createProductMetadataService = ({ http = defaultHttp } = {}) => {
+  // Fetches and parses a product page; throws when it cannot be loaded
+  const fetchProductMetadata = async (url) => {
+    const response = await http.get(url, {
+      headers: browserHeaders.page,
+      responseType: "text",
+      timeout: FETCH_TIMEOUT,
+      maxRedirects: 10,
+      maxContentLength: 5 * 1024 * 1024,
+    });
+    const finalUrl = response.request?.res?.responseUrl || url;
+    return parseProductPage(response.data, finalUrl);
+  };
+
+  return { fetchProductMetadata };
+};
+
+const productMetadataService = createProductMetadataService();
+
+// Fetches the product card for a post's productLink and stores it as
+// productMeta. Never throws: a failure is stored as productMeta.error so the
+// save that triggered it still succeeds. Returns the updated post.
+const updateProductMeta = async (post) => {
+  if (!post.productLink) {
+    return Post.findByIdAndUpdate(
+      post._id,
+      { $unset: { productMeta: 1 } },
+      { new: true }
+    );
+  }
+
+  let productMeta;
+  try {
+    productMeta = {
+      ...(await productMetadataService.fetchProductMetadata(post.productLink)),
+      error: null,
+    };
+  } catch (error) {
+    console.error(
+      `Error fetching product metadata for ${post.productLink}:`,
+      error.message
+    );
+    productMeta = { error: error.message };
+  }
+
+  return Post.findByIdAndUpdate(
+    post._id,
+    {
+      productMeta: {
+        ...productMeta,
+        url: post.productLink,
+        fetchedAt: new Date(),
+      },
+    },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createProductMetadataService,
+  parseProductPage,
+  parsePrice,
+  updateProductMeta,
+};
@@ -0,0 +1,142 @@
+const Post = require("../models/Post");
+const { http: defaultHttp } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+const { getPlatform } = require("../platforms");
+
+// Posts refreshed at once by the scheduled refresher
+const REFRESH_CONCURRENCY = 2;
+
+// Fields a refresh never touches: the post's identity and what the user set
+const PRESERVED_FIELDS = ["url", "productLink"];
+// Text the extractor leaves blank on some platforms; keep the stored value
+const KEEP_WHEN_EMPTY = ["title", "description", "embedCode"];
+
+// Picks the fields of a fresh extractor result that should replace the
+// stored ones
+const getRefreshedFields = (extracted) =>
+  Object.entries(extracted).reduce((fields, [key, value]) => {
+    if (PRESERVED_FIELDS.includes(key)) return fields;
+    if (KEEP_WHEN_EMPTY.includes(key) && !value) return fields;
+    fields[key] = value;
+    return fields;
+  }, {});
+
+const CLOUDINARY_URL_PATTERN = /^https:\/\/res\.cloudinary\.com\//;
+
+// Whether an image URL still loads
+const isImageReachable = async (http, url) => {
+  try {
+    const response = await http.head(url, {
+      validateStatus: () => true,
+      timeout: 10000,
+    });
+    return response.status < 400;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Upload passed to the extractor on a refresh. Hands back the post's stored
+// Cloudinary images, in the order the extractor asks for them, while they
+// still load, so refreshing does not add a new copy of the same image each
+// time. Images that no longer load are uploaded again.
+const createStoredImageUpload = (post, { http, upload }) => {
+  const storedImages = post.media?.length
+    ? post.media.map((slide) => slide.thumbnailUrl)
+    : [post.imageUrl];
+  let next = 0;
+
+  return async (image, setUploading) => {
+    const storedImage = storedImages[next++];
+    if (
+      storedImage &&
+      CLOUDINARY_URL_PATTERN.test(storedImage) &&
+      (await isImageReachable(http, storedImage))
+    ) {
+      return storedImage;
+    }
+    return upload(image, setUploading);
+  };
+};
+
+// Re-runs the platform extractor for a post and saves the fresh title,
+// description, image and video fields. A failure is recorded on the post
+// as `refreshError` and rethrown. Returns the updated post.
+const refreshPost = async (
+  post,
+  { http = defaultHttp, upload = uploadFile } = {}
+) => {
+  const platform = getPlatform(post.platform);
+
+  try {
+    const result = await platform.extract({
+      url: post.url,
+      embedCode: post.embedCode,
+      upload: createStoredImageUpload(post, { http, upload }),
+    });
+
+    // Facebook swaps in its logo when the page cannot be scraped; keep the
+    // image we already have instead
+    if (result.extractionMethod === "fallback_logo") {
+      throw createHttpError(502, "Could not fetch post data");
+    }
+
+    return await Post.findByIdAndUpdate(
+      post._id,
+      {
+        ...getRefreshedFields(result.post),
+        lastRefreshedAt: new Date(),
+        refreshError: null,
+        // The post could be scraped again, so it is back
+        unavailable: false,
+        unavailableReason: null,
+      },
+      { new: true }
+    );
+  } catch (error) {
+    await Post.updateOne(
+      { _id: post._id },
+      {
+        lastRefreshedAt: new Date(),
+        refreshError: (error.cause || error).message,
+      }
+    );
+    throw error;
+  }
+};
+
+// Refreshes up to `limit` posts not refreshed (or imported) within `maxAge`
+// milliseconds, oldest first. Returns { refreshed, failed }.
+const refreshStalePosts = async ({ maxAge, limit }) => {
+  const cutoff = new Date(Date.now() - maxAge);
+  const posts = await Post.find({
+    $or: [
+      { lastRefreshedAt: { $lt: cutoff } },
+      { lastRefreshedAt: null, createdAt: { $lt: cutoff } },
+    ],
+  })
+    .sort({ lastRefreshedAt: 1, createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  const results = await mapWithConcurrency(
+    posts,
+    REFRESH_CONCURRENCY,
+    async (post) => {
+      try {
+        await refreshPost(post);
+        return true;
+      } catch (error) {
+        console.error(`Error refreshing post ${post._id}:`, error.message);
+        return false;
+      }
+    }
+  );
+
+  const refreshed = results.filter(Boolean).length;
+  return { refreshed, failed: results.length - refreshed };
+};
+
+module.exports = { getRefreshedFields, refreshPost, refreshStalePosts };
@@ -0,0 +1,139 @@
+const { http: defaultHttp } = require("./httpClient");
+const createHttpError = require("../utils/createHttpError");
+
+const SHOPIFY_API_VERSION = "2024-07";
+// Hosts the access token may be sent to over plain http (e.g. a local mock)
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// Lowercases the domain and drops paths. "my-shop.myshopify.com" becomes
+// https://my-shop.myshopify.com; a value with a protocol (e.g. a local mock
+// server at http://127.0.0.1:4010) is kept as it is. Returns null for http
+// URLs of other hosts.
+const normalizeStoreDomain = (storeDomain) => {
+  const input = String(storeDomain || "").trim();
+  const hasProtocol = /^https?:\/\//i.test(input);
+  try {
+    const url = new URL(hasProtocol ? input : `https://${input}`);
+    const isLocal = LOCAL_HOSTS.includes(url.hostname);
+    if (!url.hostname.includes(".") && !isLocal) {
+      return null;
+    }
+    // The access token is sent in a header with every request
+    if (url.protocol !== "https:" && !isLocal) {
+      return null;
+    }
+    return hasProtocol ? url.origin : url.host;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getStoreBaseUrl = (storeDomain) =>
+  /^https?:\/\//i.test(storeDomain) ? storeDomain : `https://${storeDomain}`;
+
+const PRODUCT_FIELDS = `
+  id
+  title
+  handle
+  onlineStoreUrl
+  availableForSale
+  featuredImage { url }
+  priceRange { minVariantPrice { amount currencyCode } }
+`;
+
+// Maps a Storefront API product to catalog Product fields
+const toCatalogProduct = (node, baseUrl) => ({
+  externalId: node.id,
+  title: node.title,
+  url: node.onlineStoreUrl || `${baseUrl}/products/${node.handle}`,
+  image: node.featuredImage ? node.featuredImage.url : "",
+  price: node.priceRange
+    ? Number(node.priceRange.minVariantPrice.amount)
+    : null,
+  currency: node.priceRange ? node.priceRange.minVariantPrice.currencyCode : "",
+  availability: node.availableForSale ? "in_stock" : "out_of_stock",
+});
+
+// Builds the Shopify Storefront API client. Pass `http` to swap the HTTP
+// client. Every method takes the StoreConnection (with its accessToken).
+const createShopifyService = ({ http = defaultHttp } = {}) => {
+  const query = async (connection, graphql, variables = {}) => {
+    const baseUrl = getStoreBaseUrl(connection.storeDomain);
+    let response;
+    try {
+      response = await http.post(
+        `${baseUrl}/api/${SHOPIFY_API_VERSION}/graphql.json`,
+        { query: graphql, variables },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            "X-Shopify-Storefront-Access-Token": connection.accessToken,
+          },
+        }
+      );
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        throw createHttpError(
+          400,
+          "Shopify rejected the storefront access token",
+          error
+        );
+      }
+      if (status === 404) {
+        throw createHttpError(400, "Shopify store not found", error);
+      }
+      throw createHttpError(502, "Could not reach the Shopify store", error);
+    }
+
+    const { data, errors } = response.data || {};
+    if (errors && errors.length) {
+      throw createHttpError(502, `Shopify error: ${errors[0].message}`);
+    }
+    return { data, baseUrl };
+  };
+
+  // Checks the domain and token. Returns { storeName }.
+  const verifyConnection = async (connection) => {
+    const { data } = await query(connection, "{ shop { name } }");
+    return { storeName: data.shop.name };
+  };
+
+  // Searches products by title, SKU, vendor, etc. using Shopify's search syntax
+  const searchProducts = async (connection, { search = "", limit = 20 }) => {
+    const { data, baseUrl } = await query(
+      connection,
+      `query SearchProducts($first: Int!, $query: String) {
+        products(first: $first, query: $query) {
+          edges { node { ${PRODUCT_FIELDS} } }
+        }
+      }`,
+      { first: limit, query: search || null }
+    );
+    return data.products.edges.map((edge) =>
+      toCatalogProduct(edge.node, baseUrl)
+    );
+  };
+
+  // Fetches products by id. Products deleted from the store are missing.
+  const getProducts = async (connection, externalIds) => {
+    const { data, baseUrl } = await query(
+      connection,
+      `query GetProducts($ids: [ID!]!) {
+        nodes(ids: $ids) { ... on Product { ${PRODUCT_FIELDS} } }
+      }`,
+      { ids: externalIds }
+    );
+    return data.nodes
+      .filter((node) => node && node.id)
+      .map((node) => toCatalogProduct(node, baseUrl));
+  };
+
+  return { verifyConnection, searchProducts, getProducts };
+};
+
+module.exports = {
+  createShopifyService,
+  normalizeStoreDomain,
+  toCatalogProduct,
+};
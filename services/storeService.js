@@ -0,0 +1,247 @@
+const Product = require("../models/Product");
+const StoreConnection = require("../models/StoreConnection");
+const createHttpError = require("../utils/createHttpError");
+const { syncProductToPosts } = require("./productCatalogService");
+const {
+  createShopifyService,
+  normalizeStoreDomain: normalizeShopifyDomain,
+} = require("./shopifyService");
+const {
+  createWooCommerceService,
+  normalizeSiteUrl,
+} = require("./wooCommerceService");
+
+// Store providers a user can connect. Each one declares:
+//   label                - human readable name used in messages
+//   credentialFields     - StoreConnection fields holding its secrets
+//   normalizeStoreDomain - (input) => stored domain, or null when invalid
+//   service              - { verifyConnection, searchProducts, getProducts };
+//                          verifyConnection returns { storeName, ... } details
+//                          saved on the connection; products are returned as
+//                          catalog Product fields with the store's id as
+//                          externalId
+const providers = new Map([
+  [
+    "shopify",
+    {
+      label: "Shopify",
+      credentialFields: ["accessToken"],
+      normalizeStoreDomain: normalizeShopifyDomain,
+      service: createShopifyService(),
+    },
+  ],
+  [
+    "woocommerce",
+    {
+      label: "WooCommerce",
+      credentialFields: ["consumerKey", "consumerSecret"],
+      normalizeStoreDomain: normalizeSiteUrl,
+      service: createWooCommerceService(),
+    },
+  ],
+]);
+
+// Products fetched per store request when syncing
+const SYNC_BATCH_SIZE = 100;
+
+// Catalog fields that come from the store
+const SYNCED_FIELDS = [
+  "title",
+  "url",
+  "image",
+  "price",
+  "currency",
+  "availability",
+];
+
+// Every provider's credential fields, which are not selected by default
+const CREDENTIAL_SELECT = Array.from(providers.values())
+  .flatMap((provider) => provider.credentialFields)
+  .map((field) => `+${field}`)
+  .join(" ");
+
+const getStoreProvider = (name) => providers.get(name) || null;
+
+const getStoreProviderNames = () => Array.from(providers.keys());
+
+// Loads the user's connection with its credentials; throws 404 when the
+// store is not connected
+const getConnection = async (userId, providerName) => {
+  const connection = await StoreConnection.findOne({
+    user: userId,
+    provider: providerName,
+  }).select(CREDENTIAL_SELECT);
+
+  if (!connection) {
+    throw createHttpError(
+      404,
+      `Connect your ${getStoreProvider(providerName).label} store first`
+    );
+  }
+  return connection;
+};
+
+// Verifies the credentials and saves the connection, replacing any earlier
+// one. Returns the connection without its credentials.
+const connectStore = async (userId, providerName, input) => {
+  const provider = getStoreProvider(providerName);
+  const storeDomain = provider.normalizeStoreDomain(input.storeDomain);
+  if (!storeDomain) {
+    throw createHttpError(
+      400,
+      "Please provide a valid store domain. Stores must use https."
+    );
+  }
+
+  const missing = provider.credentialFields.filter((field) => !input[field]);
+  if (missing.length) {
+    throw createHttpError(
+      400,
+      `${missing.join(" and ")} ${missing.length > 1 ? "are" : "is"} required`
+    );
+  }
+
+  const credentials = { storeDomain };
+  provider.credentialFields.forEach((field) => {
+    credentials[field] = String(input[field]);
+  });
+  const details = await provider.service.verifyConnection(credentials);
+
+  await StoreConnection.findOneAndUpdate(
+    { user: userId, provider: providerName },
+    { ...credentials, ...details, syncError: null },
+    { upsert: true, runValidators: true }
+  );
+  return StoreConnection.findOne({ user: userId, provider: providerName });
+};
+
+const searchStoreProducts = async (userId, providerName, options) => {
+  const connection = await getConnection(userId, providerName);
+  return getStoreProvider(providerName).service.searchProducts(
+    connection,
+    options
+  );
+};
+
+// Copies store product fields onto a catalog product and, when anything
+// changed, onto the posts linking to it. Returns whether it changed.
+const applyStoreFields = async (product, storeProduct) => {
+  const previousUrl = product.url;
+  SYNCED_FIELDS.forEach((field) => product.set(field, storeProduct[field]));
+  if (!product.isModified()) return false;
+
+  await product.save();
+  await syncProductToPosts(product, product.url !== previousUrl);
+  return true;
+};
+
+// Adds a store product to the user's catalog, or refreshes the catalog
+// product already made from it. Returns the catalog product.
+const importStoreProduct = async (userId, providerName, externalId) => {
+  const connection = await getConnection(userId, providerName);
+  const provider = getStoreProvider(providerName);
+  const [storeProduct] = await provider.service.getProducts(connection, [
+    externalId,
+  ]);
+
+  if (!storeProduct) {
+    throw createHttpError(404, `${provider.label} product not found`);
+  }
+
+  const { externalId: storeProductId, ...fields } = storeProduct;
+  const source = { provider: providerName, externalId: storeProductId };
+  const product = await Product.findOne({
+    user: userId,
+    "source.provider": source.provider,
+    "source.externalId": source.externalId,
+  });
+
+  if (product) {
+    await applyStoreFields(product, storeProduct);
+    return product;
+  }
+
+  return Product.create({ ...fields, user: userId, source });
+};
+
+// Pulls current prices and availability for every catalog product picked
+// from the store. Products removed from the store are marked out of stock.
+// Returns { updated, unchanged, missing }.
+const syncStore = async (connection) => {
+  const provider = getStoreProvider(connection.provider);
+  const products = await Product.find({
+    user: connection.user,
+    "source.provider": connection.provider,
+  });
+  const counts = { updated: 0, unchanged: 0, missing: 0 };
+
+  try {
+    for (let i = 0; i < products.length; i += SYNC_BATCH_SIZE) {
+      const batch = products.slice(i, i + SYNC_BATCH_SIZE);
+      const storeProducts = await provider.service.getProducts(
+        connection,
+        batch.map((product) => product.source.externalId)
+      );
+      const byId = new Map(
+        storeProducts.map((storeProduct) => [
+          storeProduct.externalId,
+          storeProduct,
+        ])
+      );
+
+      for (const product of batch) {
+        const storeProduct = byId.get(product.source.externalId);
+        if (!storeProduct) {
+          counts.missing++;
+          await applyStoreFields(product, {
+            ...product.toObject(),
+            availability: "out_of_stock",
+          });
+          continue;
+        }
+        const changed = await applyStoreFields(product, storeProduct);
+        counts[changed ? "updated" : "unchanged"]++;
+      }
+    }
+
+    connection.syncError = null;
+  } catch (error) {
+    connection.syncError = (error.cause || error).message;
+    throw error;
+  } finally {
+    connection.lastSyncedAt = new Date();
+    await connection.save();
+  }
+
+  return counts;
+};
+
+// Syncs every connected store, one at a time. Used by the sync worker.
+const syncAllStores = async () => {
+  const connections = await StoreConnection.find().select(CREDENTIAL_SELECT);
+  for (const connection of connections) {
+    try {
+      const counts = await syncStore(connection);
+      console.log(
+        `Synced ${connection.provider} store ${connection.storeDomain}:`,
+        counts
+      );
+    } catch (error) {
+      console.error(
+        `Error syncing ${connection.provider} store ${connection.storeDomain}:`,
+        error.message
+      );
+    }
+  }
+};
+
+module.exports = {
+  getStoreProvider,
+  getStoreProviderNames,
+  getConnection,
+  connectStore,
+  searchStoreProducts,
+  importStoreProduct,
+  syncStore,
+  syncAllStores,
+};
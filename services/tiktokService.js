@@ -0,0 +1,203 @@
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+
+const headers = {
+  ...browserHeaders.page,
+  Referer: "https://www.tiktok.com/",
+};
+
+const videoHeaders = {
+  ...browserHeaders.video,
+  Referer: "https://www.tiktok.com/",
+  Origin: "https://www.tiktok.com",
+  "Sec-Fetch-Dest": "video",
+  "Sec-Fetch-Mode": "cors",
+  "Sec-Fetch-Site": "cross-site",
+};
+
+const getTikwmUrl = (videoUrl) =>
+  `https://www.tikwm.com/api/?url=${encodeURIComponent(videoUrl)}`;
+
+// Builds the TikTok service. `http` and `upload` default to the shared
+// HTTP client and Cloudinary upload; pass stubs to run offline.
+const createTikTokService = ({
+  http = defaultHttp,
+  upload = uploadFile,
+} = {}) => {
+  const extract = async ({ url: postUrl, upload: uploadImage = upload }) => {
+    let processedUrl = postUrl.trim();
+
+    // Check if it's an embed code
+    if (
+      processedUrl.includes("<blockquote") &&
+      processedUrl.includes("tiktok-embed")
+    ) {
+      const citeMatch = processedUrl.match(
+        /cite=["'](https?:\/\/(?:www\.)?tiktok\.com\/[^"']+)["']/i
+      );
+      if (citeMatch && citeMatch[1]) {
+        processedUrl = citeMatch[1];
+        console.log("Extracted TikTok URL from embed code:", processedUrl);
+      }
+    }
+
+    if (
+      !/^https?:\/\/((www|m|vm|vt)\.)?tiktok\.com\/[^\s]+/i.test(processedUrl)
+    ) {
+      throw createHttpError(
+        400,
+        "Invalid TikTok URL. Must be a video URL or embed code"
+      );
+    }
+
+    // Resolve short links (vm.tiktok.com, vt.tiktok.com, tiktok.com/t/) to the full video URL
+    const isShortUrl =
+      /^https?:\/\/(vm|vt)\.tiktok\.com\//i.test(processedUrl) ||
+      /tiktok\.com\/t\//i.test(processedUrl);
+
+    if (isShortUrl) {
+      try {
+        const response = await http.get(processedUrl, {
+          headers,
+          timeout: 10000,
+          maxRedirects: 5,
+          validateStatus: function (status) {
+            return status < 500;
+          },
+        });
+        const resolvedUrl = response.request?.res?.responseUrl;
+        if (resolvedUrl) {
+          processedUrl = resolvedUrl;
+          console.log("Resolved TikTok short URL to:", processedUrl);
+        }
+      } catch (error) {
+        console.error("Error resolving TikTok short URL:", error.message);
+      }
+    }
+
+    const videoIdMatch = processedUrl.match(/\/(?:video|v)\/(\d+)/);
+    if (!videoIdMatch) {
+      throw createHttpError(
+        400,
+        "Could not extract TikTok video ID from the provided URL"
+      );
+    }
+
+    const videoId = videoIdMatch[1];
+    const usernameMatch = processedUrl.match(/tiktok\.com\/@([^/?#]+)/i);
+
+    let caption = "";
+    let username = usernameMatch ? usernameMatch[1] : "";
+    let userImage = "";
+    let coverUrl = "";
+    let videoPath = "";
+
+    try {
+      // tikwm returns the caption, author, cover and a playable video URL in one call
+      const { data } = await http.get(getTikwmUrl(processedUrl), {
+        timeout: 15000,
+      });
+
+      if (data && data.data) {
+        const video = data.data;
+        caption = video.title || "";
+        username = video.author?.unique_id || username;
+        userImage = video.author?.avatar || "";
+        coverUrl = video.origin_cover || video.cover || "";
+        videoPath = video.wmplay || video.play || "";
+      } else {
+        throw new Error(data?.msg || "Could not fetch TikTok video metadata");
+      }
+    } catch (error) {
+      console.error("tikwm API error:", error.message);
+
+      // Fall back to TikTok oEmbed, which has no video URL or avatar
+      try {
+        const oembedUrl = `https://www.tiktok.com/oembed?url=${encodeURIComponent(
+          processedUrl
+        )}`;
+        const { data } = await http.get(oembedUrl, {
+          headers,
+          timeout: 10000,
+        });
+        caption = data.title || "";
+        username = data.author_unique_id || username;
+        coverUrl = data.thumbnail_url || "";
+      } catch (oembedError) {
+        console.error("TikTok oEmbed error:", oembedError.message);
+      }
+    }
+
+    if (!coverUrl && !videoPath) {
+      throw createHttpError(
+        404,
+        "Could not fetch TikTok video. It may be private or not publicly accessible."
+      );
+    }
+
+    // TikTok CDN cover URLs expire, so keep our own copy
+    let cloudinaryImageUrl = "";
+    if (coverUrl) {
+      try {
+        cloudinaryImageUrl = await uploadImage(coverUrl, () => {});
+      } catch (uploadError) {
+        console.error(
+          "Error uploading TikTok cover to Cloudinary:",
+          uploadError
+        );
+        cloudinaryImageUrl = coverUrl;
+      }
+    }
+
+    const normalizedUrl = username
+      ? `https://www.tiktok.com/@${username}/video/${videoId}`
+      : processedUrl.split("?")[0];
+
+    return {
+      post: {
+        url: normalizedUrl,
+        thumbnailUrl: cloudinaryImageUrl,
+        caption,
+        username,
+        userImage,
+        videoPath,
+        title: "",
+        description: "",
+      },
+      message: "TikTok video added successfully",
+    };
+  };
+
+  // TikTok play URLs expire; returns a fresh one from tikwm when the saved
+  // URL no longer serves a video, otherwise the saved one
+  const refreshVideoPath = async (post) => {
+    try {
+      const response = await http.get(post.videoPath, {
+        headers: videoHeaders,
+        validateStatus: function (status) {
+          return status < 500; // Accept all status codes less than 500
+        },
+        maxRedirects: 5,
+        timeout: 5000,
+      });
+      if (
+        response.status !== 403 &&
+        response.headers["content-type"]?.includes("video")
+      ) {
+        return post.videoPath;
+      }
+      console.log("TikTok video URL check failed, fetching fresh URL.");
+    } catch (error) {
+      console.error("Error checking TikTok video URL:", error.message);
+      console.log("Error checking video URL, fetching fresh URL.");
+    }
+
+    const { data } = await http.get(getTikwmUrl(post.url));
+    return data?.data?.wmplay || post.videoPath;
+  };
+
+  return { extract, refreshVideoPath };
+};
+
+module.exports = { createTikTokService };
@@ -0,0 +1,129 @@
+const { http: defaultHttp } = require("./httpClient");
+const createHttpError = require("../utils/createHttpError");
+
+const API_PATH = "/wp-json/wc/v3";
+
+// Hosts the key pair may be sent to over plain http (e.g. a local stand-in)
+const LOCAL_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+// WordPress may live in a subdirectory, so the site URL keeps its path:
+// "example.com/shop/" becomes https://example.com/shop. A URL with a
+// protocol and port (e.g. a local stand-in) is kept as it is. Returns null
+// for http URLs of other hosts, since the key pair is sent with every
+// request.
+const normalizeSiteUrl = (siteUrl) => {
+  const input = String(siteUrl || "").trim();
+  try {
+    const url = new URL(
+      /^https?:\/\//i.test(input) ? input : `https://${input}`
+    );
+    const isLocal = LOCAL_HOSTS.includes(url.hostname);
+    if (!url.hostname.includes(".") && !isLocal) {
+      return null;
+    }
+    if (url.protocol !== "https:" && !isLocal) {
+      return null;
+    }
+    return `${url.origin}${url.pathname.replace(/\/+$/, "")}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+const STOCK_STATUSES = {
+  instock: "in_stock",
+  outofstock: "out_of_stock",
+  onbackorder: "preorder",
+};
+
+// Maps a WooCommerce REST product to catalog Product fields. Product data
+// has no currency, so the store's currency is passed in.
+const toCatalogProduct = (product, currency) => ({
+  externalId: String(product.id),
+  title: product.name,
+  url: product.permalink,
+  image: product.images && product.images.length ? product.images[0].src : "",
+  price: product.price === "" ? null : Number(product.price),
+  currency,
+  availability: STOCK_STATUSES[product.stock_status] || "",
+});
+
+// Builds the WooCommerce REST API client. Pass `http` to swap the HTTP
+// client. Every method takes the StoreConnection (with its key pair).
+// The key pair is sent with HTTP Basic auth, which WooCommerce accepts
+// over HTTPS.
+const createWooCommerceService = ({ http = defaultHttp } = {}) => {
+  const get = async (connection, path, params) => {
+    try {
+      const { data } = await http.get(`${connection.storeDomain}${path}`, {
+        params,
+        auth: {
+          username: connection.consumerKey,
+          password: connection.consumerSecret,
+        },
+      });
+      return data;
+    } catch (error) {
+      const status = error.response && error.response.status;
+      if (status === 401 || status === 403) {
+        throw createHttpError(
+          400,
+          "WooCommerce rejected the consumer key or secret",
+          error
+        );
+      }
+      if (status === 404) {
+        throw createHttpError(
+          400,
+          "WooCommerce REST API not found at this site URL",
+          error
+        );
+      }
+      throw createHttpError(
+        502,
+        "Could not reach the WooCommerce store",
+        error
+      );
+    }
+  };
+
+  // Checks the site URL and key pair. Returns { storeName, currency }.
+  const verifyConnection = async (connection) => {
+    await get(connection, `${API_PATH}/products`, { per_page: 1 });
+    const [site, currency] = await Promise.all([
+      get(connection, "/wp-json"),
+      get(connection, `${API_PATH}/data/currencies/current`),
+    ]);
+    return { storeName: site.name || "", currency: currency.code || "" };
+  };
+
+  const searchProducts = async (connection, { search = "", limit = 20 }) => {
+    const products = await get(connection, `${API_PATH}/products`, {
+      search: search || undefined,
+      per_page: limit,
+      status: "publish",
+    });
+    return products.map((product) =>
+      toCatalogProduct(product, connection.currency)
+    );
+  };
+
+  // Fetches products by id. Products deleted from the store are missing.
+  const getProducts = async (connection, externalIds) => {
+    const products = await get(connection, `${API_PATH}/products`, {
+      include: externalIds.join(","),
+      per_page: externalIds.length,
+    });
+    return products.map((product) =>
+      toCatalogProduct(product, connection.currency)
+    );
+  };
+
+  return { verifyConnection, searchProducts, getProducts };
+};
+
+module.exports = {
+  createWooCommerceService,
+  normalizeSiteUrl,
+  toCatalogProduct,
+};
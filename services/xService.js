@@ -0,0 +1,167 @@
+const cheerio = require("cheerio");
+const { http: defaultHttp, browserHeaders } = require("./httpClient");
+const uploadFile = require("../utils/uploadFile");
+const createHttpError = require("../utils/createHttpError");
+
+const headers = browserHeaders.json;
+
+const statusUrlPattern =
+  /^https?:\/\/((www|mobile)\.)?(x|twitter)\.com\/([A-Za-z0-9_]+)\/status(?:es)?\/(\d+)/i;
+
+// Token expected by the syndication endpoint used by embedded tweets
+const getSyndicationToken = (tweetId) =>
+  ((Number(tweetId) / 1e15) * Math.PI).toString(36).replace(/(0+|\.)/g, "");
+
+// Reads tweet text, author and media from a syndication endpoint response
+const parseSyndicationData = (data) => {
+  if (!data || !data.user) {
+    throw new Error("Tweet not found in syndication data");
+  }
+
+  const firstImage =
+    data.photos?.[0]?.url ||
+    data.mediaDetails?.find((media) => media.type === "photo")
+      ?.media_url_https ||
+    data.video?.poster ||
+    data.mediaDetails?.[0]?.media_url_https ||
+    "";
+
+  return {
+    text: data.text || "",
+    username: data.user.screen_name || "",
+    userImage: (data.user.profile_image_url_https || "").replace(
+      "_normal.",
+      "_400x400."
+    ),
+    imageUrl: firstImage,
+  };
+};
+
+// Reads an oEmbed endpoint response, which has no avatar or media
+const parseOembedData = (data) => {
+  const $ = cheerio.load(data.html || "");
+  const usernameMatch = (data.author_url || "").match(/\.com\/([^/?#]+)/);
+
+  return {
+    text: $("blockquote p").first().text() || "",
+    username: usernameMatch ? usernameMatch[1] : "",
+    userImage: "",
+    imageUrl: "",
+    embedCode: data.html || "",
+  };
+};
+
+// Builds the X service. `http` and `upload` default to the shared HTTP
+// client and Cloudinary upload; pass stubs to run offline.
+const createXService = ({ http = defaultHttp, upload = uploadFile } = {}) => {
+  // Tweet text, author and media from the embedded-tweet syndication endpoint
+  const fetchSyndicationData = async (tweetId) => {
+    const { data } = await http.get(
+      `https://cdn.syndication.twimg.com/tweet-result?id=${tweetId}&lang=en&token=${getSyndicationToken(
+        tweetId
+      )}`,
+      { headers, timeout: 10000 }
+    );
+    return parseSyndicationData(data);
+  };
+
+  // Fallback: the public oEmbed endpoint
+  const fetchOembedData = async (tweetUrl) => {
+    const { data } = await http.get(
+      `https://publish.twitter.com/oembed?url=${encodeURIComponent(
+        tweetUrl
+      )}&omit_script=true`,
+      { headers, timeout: 10000 }
+    );
+    return parseOembedData(data);
+  };
+
+  const extract = async ({ url: postUrl, upload: uploadImage = upload }) => {
+    let processedUrl = postUrl.trim();
+
+    // Check if it's an embed code
+    if (
+      processedUrl.includes("<blockquote") &&
+      processedUrl.includes("twitter-tweet")
+    ) {
+      const linkMatches = processedUrl.match(
+        /https?:\/\/(?:www\.)?(?:x|twitter)\.com\/[A-Za-z0-9_]+\/status\/\d+/gi
+      );
+      if (linkMatches) {
+        processedUrl = linkMatches[linkMatches.length - 1];
+        console.log("Extracted X URL from embed code:", processedUrl);
+      }
+    }
+
+    const statusMatch = processedUrl.match(statusUrlPattern);
+    if (!statusMatch) {
+      throw createHttpError(
+        400,
+        "Invalid X URL. Must be an x.com or twitter.com status URL"
+      );
+    }
+
+    const tweetId = statusMatch[5];
+    let tweet = null;
+
+    try {
+      tweet = await fetchSyndicationData(tweetId);
+    } catch (error) {
+      console.error("X syndication error:", error.message);
+
+      try {
+        tweet = await fetchOembedData(
+          `https://twitter.com/${statusMatch[4]}/status/${tweetId}`
+        );
+      } catch (oembedError) {
+        console.error("X oEmbed error:", oembedError.message);
+      }
+    }
+
+    if (!tweet) {
+      throw createHttpError(
+        404,
+        "Could not fetch X post. It may be private, protected or deleted."
+      );
+    }
+
+    const username = tweet.username || statusMatch[4];
+    const normalizedUrl = `https://x.com/${username}/status/${tweetId}`;
+
+    // pbs.twimg.com media is publicly accessible, but keep our own copy like other platforms
+    let cloudinaryImageUrl = "";
+    if (tweet.imageUrl) {
+      try {
+        cloudinaryImageUrl = await uploadImage(tweet.imageUrl, () => {});
+      } catch (uploadError) {
+        console.error("Error uploading X image to Cloudinary:", uploadError);
+        cloudinaryImageUrl = tweet.imageUrl;
+      }
+    }
+
+    return {
+      post: {
+        url: normalizedUrl,
+        tweetId,
+        caption: tweet.text,
+        username,
+        userImage: tweet.userImage,
+        imageUrl: cloudinaryImageUrl,
+        embedCode: tweet.embedCode || "",
+        title: "",
+        description: "",
+      },
+      message: "X post added successfully",
+    };
+  };
+
+  return { extract };
+};
+
+module.exports = {
+  createXService,
+  statusUrlPattern,
+  getSyndicationToken,
+  parseSyndicationData,
+  parseOembedData,
+};
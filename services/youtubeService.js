@@ -0,0 +1,333 @@
+const { http: defaultHttp } = require("./httpClient");
+const createHttpError = require("../utils/createHttpError");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+const {
+  parseYouTubeUrl,
+  getCanonicalUrl,
+} = require("../utils/parseYouTubeUrl");
+
+const API_BASE_URL = "https://www.googleapis.com/youtube/v3";
+
+// The Data API accepts up to 50 ids per videos/channels/playlistItems call
+const MAX_API_PAGE_SIZE = 50;
+const DEFAULT_COLLECTION_LIMIT = 10;
+// Shorts checks run at once; each is a HEAD request to youtube.com
+const SHORTS_CHECK_CONCURRENCY = 4;
+
+const getApiKey = () => {
+  // Get YouTube API key from environment variables
+  const apiKey = process.env.YOUTUBE_API_KEY;
+  if (!apiKey) {
+    throw createHttpError(500, "YouTube API key is not configured");
+  }
+  return apiKey;
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+const buildPost = (videoId, snippet, channelImage, isShort) => ({
+  url: getCanonicalUrl(videoId),
+  videoId: videoId,
+  isShort,
+  thumbnailUrl: snippet.thumbnails.high.url,
+  title: snippet.title,
+  channelName: snippet.channelTitle,
+  channelImage: channelImage,
+  description: snippet.description || "",
+  // Create embed HTML
+  embedCode: `<iframe width="560" height="315" src="https://www.youtube.com/embed/${videoId}" frameborder="0" allowfullscreen></iframe>`,
+});
+
+// Channel, @handle and playlist inputs, as opposed to a single video
+const parseCollectionUrl = (input) => {
+  const value = (input || "").trim();
+
+  // Bare handle: @shopname
+  if (/^@[\w.-]+$/.test(value)) {
+    return { type: "handle", value };
+  }
+
+  if (!/^https?:\/\/((www|m|music)\.)?youtube\.com\//i.test(value)) {
+    return null;
+  }
+
+  const parsedUrl = new URL(value);
+  const listId = parsedUrl.searchParams.get("list");
+
+  // A watch URL with a list param still points at a single video
+  if (listId && !parsedUrl.searchParams.get("v")) {
+    return { type: "playlist", value: listId };
+  }
+
+  const [first, second] = parsedUrl.pathname.split("/").filter(Boolean);
+  if (!first) return null;
+
+  if (first.startsWith("@")) return { type: "handle", value: first };
+  if (first === "channel" && second) return { type: "channel", value: second };
+  if (first === "user" && second) return { type: "user", value: second };
+  if (first === "c" && second) return { type: "custom", value: second };
+
+  return null;
+};
+
+const isCollectionUrl = (url) => !!parseCollectionUrl(url);
+
+// Builds the YouTube service. Pass `http` to swap the HTTP client (e.g. a
+// stub in tests); it must provide axios' get/head/request methods.
+const createYouTubeService = ({ http = defaultHttp } = {}) => {
+  // youtube.com/shorts/ID only resolves for Shorts; other videos redirect to /watch
+  const checkIsShort = async (videoId) => {
+    try {
+      const response = await http.head(
+        `https://www.youtube.com/shorts/${videoId}`,
+        {
+          maxRedirects: 0,
+          timeout: 5000,
+          validateStatus: function (status) {
+            return status < 400;
+          },
+        }
+      );
+      return response.status === 200;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  // Fetches snippets for many videos and their channels, batching the
+  // videos and channels calls. Returns a Map of videoId -> post fields;
+  // videos the API did not return are missing from the map.
+  const fetchVideoPosts = async (videoIds) => {
+    const apiKey = getApiKey();
+
+    const snippets = new Map();
+    for (const ids of chunk(videoIds, MAX_API_PAGE_SIZE)) {
+      const videoApiUrl = `${API_BASE_URL}/videos?id=${ids.join(
+        ","
+      )}&key=${apiKey}&part=snippet`;
+      console.log("Fetching video details for", ids.length, "videos");
+      const { data } = await http.get(videoApiUrl);
+      (data.items || []).forEach((item) => snippets.set(item.id, item.snippet));
+    }
+
+    // Fetch channel details (for channel images)
+    const channelIds = [
+      ...new Set(Array.from(snippets.values()).map((s) => s.channelId)),
+    ];
+    const channelImages = new Map();
+    for (const ids of chunk(channelIds, MAX_API_PAGE_SIZE)) {
+      const channelApiUrl = `${API_BASE_URL}/channels?id=${ids.join(
+        ","
+      )}&key=${apiKey}&part=snippet`;
+      const { data } = await http.get(channelApiUrl);
+      (data.items || []).forEach((item) =>
+        channelImages.set(item.id, item.snippet.thumbnails.default.url)
+      );
+    }
+
+    const foundIds = Array.from(snippets.keys());
+    const shorts = await mapWithConcurrency(
+      foundIds,
+      SHORTS_CHECK_CONCURRENCY,
+      checkIsShort
+    );
+
+    const posts = new Map();
+    foundIds.forEach((videoId, index) => {
+      const snippet = snippets.get(videoId);
+      posts.set(
+        videoId,
+        buildPost(
+          videoId,
+          snippet,
+          channelImages.get(snippet.channelId) || "",
+          shorts[index]
+        )
+      );
+    });
+    return posts;
+  };
+
+  const extract = async ({ url }) => {
+    const parsedUrl = parseYouTubeUrl(url);
+
+    if (!parsedUrl) {
+      throw createHttpError(
+        400,
+        "Could not extract YouTube video ID from the provided URL"
+      );
+    }
+
+    const { videoId, canonicalUrl } = parsedUrl;
+
+    // Fail early with a clear message when the key is missing
+    getApiKey();
+
+    try {
+      const posts = await fetchVideoPosts([videoId]);
+      const post = posts.get(videoId);
+
+      if (!post) {
+        throw new Error("Could not fetch video metadata!");
+      }
+
+      console.log("Successfully fetched YouTube data:", {
+        videoId,
+        title: post.title,
+        thumbnailUrl: post.thumbnailUrl,
+        channelName: post.channelName,
+        channelImage: post.channelImage,
+      });
+
+      return {
+        post: {
+          ...post,
+          url: canonicalUrl,
+          isShort: parsedUrl.isShort || post.isShort,
+        },
+        message: "YouTube video added successfully",
+      };
+    } catch (error) {
+      console.error("YouTube API error:", error.message);
+      if (error.response && error.response.data) {
+        console.error(
+          "YouTube API error details:",
+          JSON.stringify(error.response.data, null, 2)
+        );
+      }
+      throw createHttpError(500, "Error fetching YouTube data", error);
+    }
+  };
+
+  // Resolves a channel reference to the playlist holding its uploads
+  const getUploadsPlaylistId = async ({ type, value }, apiKey) => {
+    let channelId = type === "channel" ? value : null;
+
+    if (type === "custom") {
+      // Custom /c/ URLs have no direct lookup, so search for the channel
+      const { data } = await http.get(
+        `${API_BASE_URL}/search?part=snippet&type=channel&maxResults=1&q=${encodeURIComponent(
+          value
+        )}&key=${apiKey}`
+      );
+      channelId = data.items?.[0]?.snippet?.channelId;
+    }
+
+    let query = `id=${channelId}`;
+    if (type === "handle") query = `forHandle=${encodeURIComponent(value)}`;
+    if (type === "user") query = `forUsername=${encodeURIComponent(value)}`;
+
+    const { data } = await http.get(
+      `${API_BASE_URL}/channels?${query}&part=contentDetails&key=${apiKey}`
+    );
+    const uploadsId =
+      data.items?.[0]?.contentDetails?.relatedPlaylists?.uploads || null;
+
+    if (!uploadsId) {
+      throw createHttpError(404, "Could not find the YouTube channel");
+    }
+    return uploadsId;
+  };
+
+  // Lists the latest videos of a channel, @handle or playlist URL.
+  // Returns [{ id, url }] newest first, at most `limit` entries.
+  const listCollection = async ({ url, limit = DEFAULT_COLLECTION_LIMIT }) => {
+    const collection = parseCollectionUrl(url);
+    if (!collection) {
+      throw createHttpError(400, "Not a YouTube channel or playlist URL");
+    }
+
+    const apiKey = getApiKey();
+    const maxVideos = Math.min(
+      Math.max(parseInt(limit) || DEFAULT_COLLECTION_LIMIT, 1),
+      MAX_API_PAGE_SIZE
+    );
+
+    try {
+      const playlistId =
+        collection.type === "playlist"
+          ? collection.value
+          : await getUploadsPlaylistId(collection, apiKey);
+
+      const { data } = await http.get(
+        `${API_BASE_URL}/playlistItems?playlistId=${playlistId}&part=contentDetails&maxResults=${maxVideos}&key=${apiKey}`
+      );
+
+      return (data.items || [])
+        .map((item) => item.contentDetails?.videoId)
+        .filter(Boolean)
+        .map((videoId) => ({
+          id: videoId,
+          videoId,
+          url: getCanonicalUrl(videoId),
+        }));
+    } catch (error) {
+      if (error.statusCode) throw error;
+
+      console.error("YouTube API error:", error.message);
+      if (error.response?.status === 404) {
+        throw createHttpError(
+          404,
+          "Could not find the YouTube playlist",
+          error
+        );
+      }
+      throw createHttpError(500, "Error fetching YouTube data", error);
+    }
+  };
+
+  // Extracts many collection items with batched API calls.
+  // Returns [{ item, post }] on success or [{ item, error }] per failed item.
+  const extractMany = async (items) => {
+    const posts = await fetchVideoPosts(items.map((item) => item.id));
+
+    return items.map((item) =>
+      posts.has(item.id)
+        ? { item, post: posts.get(item.id) }
+        : { item, error: "Video is private, deleted or unavailable" }
+    );
+  };
+
+  // Whether the Data API still returns the video. It leaves out private and
+  // deleted videos.
+  const isListedVideo = async (videoId) => {
+    const { data } = await http.get(
+      `${API_BASE_URL}/videos?id=${videoId}&key=${getApiKey()}&part=id`
+    );
+    return (data.items || []).length > 0;
+  };
+
+  // oEmbed is a cheap first check, but besides private and removed videos it
+  // answers 401 for public videos whose owner disabled embedding. A failed
+  // oEmbed is confirmed with the Data API before the video counts as gone.
+  // Returns the reason a video is gone, or null when it plays.
+  const checkAvailability = async (post) => {
+    const response = await http.get("https://www.youtube.com/oembed", {
+      params: { url: post.url, format: "json" },
+      validateStatus: (status) => status < 500,
+    });
+    if (![401, 403, 404].includes(response.status)) {
+      return null;
+    }
+
+    const videoId = post.videoId || parseYouTubeUrl(post.url)?.videoId;
+    if (!videoId || (await isListedVideo(videoId))) {
+      return null;
+    }
+    return "Video is private or was removed";
+  };
+
+  return { extract, listCollection, extractMany, checkAvailability };
+};
+
+module.exports = {
+  createYouTubeService,
+  parseCollectionUrl,
+  isCollectionUrl,
+};
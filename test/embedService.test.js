@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { renderFeedWidget } = require("../services/embedService");
+
+const feed = {
+  mainHeading: "Shop our <Instagram>",
+  subHeading: "Tap a tag to buy",
+  layout: "Highlight",
+  postsCount: "6",
+  posts: [
+    {
+      imageUrl: "https://res.cloudinary.com/demo/image/upload/post-1.jpg",
+      url: "https://www.instagram.com/p/C6aBcDeFgHi/",
+      platform: "instagram",
+      products: [
+        {
+          name: "Linen set",
+          url: "https://shop.example/products/linen-set",
+          price: 89,
+          currency: "EUR",
+          x: 0.25,
+          y: 0.5,
+        },
+        {
+          name: "Untagged",
+          url: "https://shop.example/products/tote",
+          x: null,
+          y: null,
+        },
+      ],
+      productCard: null,
+    },
+    {
+      imageUrl: "javascript:alert(1)",
+      url: "https://www.tiktok.com/@shop/video/123",
+      platform: "tiktok",
+      products: [],
+      productCard: null,
+    },
+  ],
+};
+
+describe("embed widget", () => {
+  it("escapes the headings", () => {
+    const html = renderFeedWidget(feed);
+    assert.match(html, /<h2 class="heading">Shop our &lt;Instagram&gt;<\/h2>/);
+  });
+
+  it("renders a hotspot for each positioned product", () => {
+    const html = renderFeedWidget(feed);
+    assert.equal(html.match(/class="hotspot"/g).length, 1);
+    assert.match(html, /left: 25%; top: 50%/);
+    assert.match(html, /Linen set EUR 89.00/);
+  });
+
+  it("applies the owner's layout", () => {
+    assert.match(
+      renderFeedWidget(feed),
+      /\.tile:first-child \{ grid-column: span 2; grid-row: span 2; \}/
+    );
+    assert.match(
+      renderFeedWidget({ ...feed, layout: "Slideshow" }),
+      /scroll-snap-type: x mandatory/
+    );
+  });
+
+  it("drops image URLs that are not http(s)", () => {
+    assert.doesNotMatch(renderFeedWidget(feed), /javascript:/);
+  });
+});
@@ -0,0 +1,220 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  createFacebookService,
+  getCanonicalFacebookUrl,
+  findFacebookImageUrl,
+  findFacebookVideo,
+  parseFacebookPage,
+} = require("../services/facebookService");
+
+const loadFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "facebook", name), "utf8");
+
+// Serves a saved page for every page request and records image downloads.
+// `finalUrl` is the URL the page request was redirected to, if any.
+const createFixtureHttp = (fixture, finalUrl) => {
+  const html = loadFixture(fixture);
+  const downloads = [];
+  return {
+    downloads,
+    get: async (url) => ({
+      data: html,
+      request: { res: { responseUrl: finalUrl || url } },
+    }),
+    request: async (config) => {
+      downloads.push(config.url);
+      return {
+        data: Buffer.alloc(20000),
+        headers: { "content-type": "image/jpeg" },
+      };
+    },
+  };
+};
+
+const upload = async () =>
+  "https://res.cloudinary.com/demo/image/upload/facebook.jpg";
+
+describe("Facebook scraper", () => {
+  // The scraper logs every step; keep the test output readable
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  describe("findFacebookImageUrl", () => {
+    it("prefers the og:image tag", () => {
+      assert.equal(
+        findFacebookImageUrl(loadFixture("post.html")),
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/s720x720/441234567_889900112233_n.jpg?_nc_cat=105&ccb=1-7&_nc_sid=127cfc&oh=00_AYC&oe=6650A1B2"
+      );
+    });
+
+    it("falls back to a scaledImageFitWidth image", () => {
+      assert.equal(
+        findFacebookImageUrl(loadFixture("scaled-image.html")),
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t1.6435-9/447788990_scaled_n.jpg?_nc_cat=1&oh=00_AY"
+      );
+    });
+
+    it("falls back to an x1ey2m1c image", () => {
+      assert.equal(
+        findFacebookImageUrl(loadFixture("modern-image.html")),
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/448899001_modern_n.jpg?stp=dst-jpg&_nc_cat=1"
+      );
+    });
+
+    it("falls back to any image URL in the page", () => {
+      assert.equal(
+        findFacebookImageUrl(loadFixture("inline-image-url.html")),
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/449900112_inline_n.jpg?_nc_cat=1"
+      );
+    });
+
+    it("returns null when the page has no image", () => {
+      assert.equal(findFacebookImageUrl(loadFixture("empty.html")), null);
+    });
+  });
+
+  describe("getCanonicalFacebookUrl", () => {
+    it("reduces reel, watch and video URLs to one form", () => {
+      assert.equal(
+        getCanonicalFacebookUrl(
+          "https://m.facebook.com/reel/1122334455667788/?mibextid=rS40aB7S9Ucbxw6v"
+        ),
+        "https://www.facebook.com/reel/1122334455667788"
+      );
+      assert.equal(
+        getCanonicalFacebookUrl(
+          "https://www.facebook.com/watch/?ref=saved&v=998877665544"
+        ),
+        "https://www.facebook.com/watch/?v=998877665544"
+      );
+      assert.equal(
+        getCanonicalFacebookUrl(
+          "https://www.facebook.com/shoplinkify/videos/linen-set/998877665544/?t=3"
+        ),
+        "https://www.facebook.com/shoplinkify/videos/998877665544/"
+      );
+    });
+  });
+
+  describe("findFacebookVideo", () => {
+    it("prefers the HD playable URL and reads the poster frame", () => {
+      assert.deepEqual(findFacebookVideo(loadFixture("reel.html")), {
+        videoUrl:
+          "https://video.flhe3-1.fna.fbcdn.net/o1/v/t2/f2/m69/reel_hd.mp4?efg=eyJ2&oe=6650A1B2",
+        posterUrl:
+          "https://scontent.flhe3-1.fna.fbcdn.net/v/t15.5256-10/455667788_reel_thumb_n.jpg",
+      });
+    });
+  });
+
+  describe("parseFacebookPage", () => {
+    it("uses og:image for a post and strips the size crop", () => {
+      const page = parseFacebookPage(loadFixture("post.html"), false);
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/441234567_889900112233_n.jpg"
+      );
+      assert.equal(page.extractionMethod, "og_image");
+      assert.equal(page.metaTags["og:title"], "Shoplinkify Demo");
+    });
+
+    it("uses the video poster of a shared video", () => {
+      const page = parseFacebookPage(loadFixture("video-share.html"), true);
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t15.5256-10/452233445_video_poster_n.jpg"
+      );
+      assert.equal(page.extractionMethod, "video_poster");
+    });
+
+    it("reads the image from JSON-LD", () => {
+      const page = parseFacebookPage(loadFixture("json-ld.html"), false);
+      assert.equal(
+        page.imageUrl,
+        "https://images.shoplinkify.example/weekend-sale.jpg"
+      );
+      assert.equal(page.extractionMethod, "json_ld");
+    });
+
+    // Facebook serves its own icon as og:image on the login wall and the
+    // scraper has no way to tell it apart from a post image
+    it("picks the Facebook icon on the login wall", () => {
+      const page = parseFacebookPage(loadFixture("login-wall.html"), false);
+      assert.equal(
+        page.imageUrl,
+        "https://www.facebook.com/images/fb_icon_325x325.png"
+      );
+    });
+
+    it("throws a 404 error when the page has no image", () => {
+      assert.throws(() => parseFacebookPage(loadFixture("empty.html"), false), {
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("extract", () => {
+    it("downloads the chosen image and stores the re-hosted copy", async () => {
+      const http = createFixtureHttp("post.html");
+      const result = await createFacebookService({ http, upload }).extract({
+        url: "https://www.facebook.com/shoplinkify/posts/pfbid0abcDEF123",
+      });
+
+      assert.deepEqual(http.downloads, [
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/441234567_889900112233_n.jpg",
+      ]);
+      assert.equal(
+        result.post.imageUrl,
+        "https://res.cloudinary.com/demo/image/upload/facebook.jpg"
+      );
+      assert.equal(result.post.title, "Shoplinkify Demo");
+    });
+
+    it("resolves an fb.watch link and stores the reel as a video", async () => {
+      const http = createFixtureHttp(
+        "reel.html",
+        "https://www.facebook.com/reel/1122334455667788/?s=fb_watch"
+      );
+      const result = await createFacebookService({ http, upload }).extract({
+        url: "https://fb.watch/rT5yU8iOp2/",
+      });
+
+      assert.equal(
+        result.post.url,
+        "https://www.facebook.com/reel/1122334455667788"
+      );
+      assert.equal(result.post.mediaType, "video");
+      assert.equal(
+        result.post.videoPath,
+        "https://video.flhe3-1.fna.fbcdn.net/o1/v/t2/f2/m69/reel_hd.mp4?efg=eyJ2&oe=6650A1B2"
+      );
+      assert.match(
+        result.post.embedCode,
+        /plugins\/video\.php\?href=https%3A%2F%2Fwww\.facebook\.com%2Freel%2F1122334455667788/
+      );
+      assert.equal(result.post.title, "Three ways to wear the linen set");
+      assert.deepEqual(http.downloads, [
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t15.5256-10/455667788_reel_thumb_n.jpg",
+      ]);
+    });
+
+    it("extractFacebookImageUrl returns the image of a saved page", async () => {
+      const http = createFixtureHttp("modern-image.html");
+      const imageUrl = await createFacebookService({
+        http,
+        upload,
+      }).extractFacebookImageUrl("https://www.facebook.com/photo/?fbid=1");
+
+      assert.equal(
+        imageUrl,
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/448899001_modern_n.jpg?stp=dst-jpg&_nc_cat=1"
+      );
+    });
+  });
+});
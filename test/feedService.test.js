@@ -0,0 +1,111 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Feed = require("../models/Feed");
+const {
+  orderFeedPosts,
+  toUpdatePaths,
+  updateFeed,
+  getPublicFeed,
+} = require("../services/feedService");
+
+// Stands in for a Mongoose query chain that resolves to `result`
+const query = (result) => {
+  const chain = {
+    sort: () => chain,
+    select: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+};
+
+describe("feeds", () => {
+  describe("orderFeedPosts", () => {
+    const posts = [{ _id: "a" }, { _id: "b" }, { _id: "c" }];
+
+    it("keeps the feed's order and limit", () => {
+      assert.deepEqual(
+        orderFeedPosts(["c", "a", "b"], posts, 2).map((post) => post._id),
+        ["c", "a"]
+      );
+    });
+
+    it("skips posts that were not found", () => {
+      assert.deepEqual(
+        orderFeedPosts(["x", "b"], posts, 6).map((post) => post._id),
+        ["b"]
+      );
+    });
+  });
+
+  describe("toUpdatePaths", () => {
+    it("sets platform toggles one by one", () => {
+      assert.deepEqual(
+        toUpdatePaths(
+          { layout: "Grid", platforms: { tiktok: false } },
+          (field) => field
+        ),
+        { layout: "Grid", "platforms.tiktok": false }
+      );
+    });
+
+    it("skips fields without a path", () => {
+      assert.deepEqual(
+        toUpdatePaths({ name: "Reviews", postsCount: "9" }, (field) =>
+          field === "postsCount" ? "feedSettings.postsCount" : undefined
+        ),
+        { "feedSettings.postsCount": "9" }
+      );
+    });
+  });
+
+  describe("updateFeed", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("selects exactly the default feed's posts", async () => {
+      const feed = new Feed({ user: new User()._id, isDefault: true });
+      const postIds = [new Post()._id, new Post()._id];
+      mock.method(Feed, "findByIdAndUpdate", async () => feed);
+      const updateMany = mock.method(Post, "updateMany", async () => ({}));
+
+      await updateFeed(feed, { posts: postIds });
+
+      const updates = updateMany.mock.calls.map((call) => call.arguments);
+      assert.deepEqual(updates[0][0]._id, { $in: postIds });
+      assert.deepEqual(updates[0][1], { selected: true });
+      assert.deepEqual(updates[1][0]._id, { $nin: postIds });
+      assert.deepEqual(updates[1][1], { selected: false });
+    });
+
+    it("leaves selection alone for other feeds", async () => {
+      const feed = new Feed({ user: new User()._id, name: "Reviews" });
+      mock.method(Feed, "findByIdAndUpdate", async () => feed);
+      const updateMany = mock.method(Post, "updateMany", async () => ({}));
+
+      await updateFeed(feed, { posts: [new Post()._id] });
+
+      assert.equal(updateMany.mock.callCount(), 0);
+    });
+  });
+
+  describe("getPublicFeed", () => {
+    afterEach(() => mock.restoreAll());
+
+    it("builds a missing default feed without saving it", async () => {
+      const user = new User({ name: "Shop", email: "shop@example.com" });
+      const post = new Post({ user: user._id, platform: "youtube" });
+      mock.method(Feed, "findOne", () => query(null));
+      mock.method(Post, "find", () => query([post]));
+      const create = mock.method(Feed, "create", async () => {
+        throw new Error("public feeds must not write");
+      });
+
+      const feed = await getPublicFeed(user);
+
+      assert.equal(create.mock.callCount(), 0);
+      assert.equal(feed.name, "Main feed");
+      assert.equal(feed.posts.length, 1);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeFeedSlug,
+  getFeedSlugError,
+} = require("../services/feedSlugService");
+
+describe("feed slugs", () => {
+  describe("normalizeFeedSlug", () => {
+    it("lowercases and joins words with dashes", () => {
+      assert.equal(normalizeFeedSlug("  Linen & Co. Shop! "), "linen-co-shop");
+    });
+
+    it("returns an empty string for missing input", () => {
+      assert.equal(normalizeFeedSlug(undefined), "");
+    });
+  });
+
+  describe("getFeedSlugError", () => {
+    it("accepts a normal slug", () => {
+      assert.equal(getFeedSlugError("linen-co"), null);
+    });
+
+    it("rejects slugs that are too short or too long", () => {
+      assert.match(getFeedSlugError("ab"), /3 to 30/);
+      assert.match(getFeedSlugError("a".repeat(31)), /3 to 30/);
+    });
+
+    it("rejects reserved words", () => {
+      assert.equal(getFeedSlugError("embed"), "This feed slug is reserved");
+    });
+
+    it("rejects slugs that would be read as a user id", () => {
+      assert.match(
+        getFeedSlugError("65f0c2a1b4e3d2c1a0f9e8d7"),
+        /cannot look like a user id/
+      );
+    });
+  });
+});
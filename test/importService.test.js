@@ -0,0 +1,93 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Post = require("../models/Post");
+const Feed = require("../models/Feed");
+const { getPlatform } = require("../platforms");
+const {
+  importSinglePost,
+  importCollection,
+} = require("../services/importService");
+
+describe("importCollection", () => {
+  const youtube = getPlatform("youtube");
+  const created = [];
+
+  before(() => {
+    mock.method(youtube, "listCollection", async () => [
+      {
+        id: "dQw4w9WgXcQ",
+        videoId: "dQw4w9WgXcQ",
+        url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+      },
+      {
+        id: "9bZkp7q19f0",
+        videoId: "9bZkp7q19f0",
+        url: "https://www.youtube.com/watch?v=9bZkp7q19f0",
+      },
+    ]);
+    mock.method(youtube, "extractMany", async (items) =>
+      items.map((item) => ({
+        item,
+        post: { url: item.url, videoId: item.videoId, title: item.id },
+      }))
+    );
+    // Imported before URLs were stored in one form
+    mock.method(Post, "find", () => ({
+      lean: async () => [
+        {
+          platform: "youtube",
+          url: "https://youtu.be/dQw4w9WgXcQ",
+          videoId: "dQw4w9WgXcQ",
+        },
+      ],
+    }));
+    mock.method(Post, "create", async (fields) => {
+      created.push(fields);
+      return { _id: "65f0c2a1b4e3d2c1a0f9e8d7", ...fields };
+    });
+    mock.method(Feed, "updateOne", async () => ({}));
+  });
+  after(() => mock.restoreAll());
+
+  it("skips a video already imported under another URL", async () => {
+    const { results, summary } = await importCollection("user-1", youtube, {
+      url: "https://www.youtube.com/@shoplinkify",
+    });
+
+    assert.deepEqual(summary, { created: 1, skipped: 1, failed: 0 });
+    assert.equal(results[0].status, "skipped");
+    assert.deepEqual(
+      created.map((post) => post.videoId),
+      ["9bZkp7q19f0"]
+    );
+  });
+});
+
+describe("importSinglePost", () => {
+  const youtube = getPlatform("youtube");
+
+  before(() => {
+    mock.method(console, "error", () => {});
+    mock.method(youtube, "extract", async ({ url }) => ({
+      post: { url, videoId: "dQw4w9WgXcQ", title: "Linen set" },
+    }));
+    mock.method(Post, "findOne", () => ({ select: async () => null }));
+    mock.method(Post, "create", async (fields) => ({
+      _id: "65f0c2a1b4e3d2c1a0f9e8d7",
+      ...fields,
+    }));
+    mock.method(Feed, "updateOne", async () => {
+      throw new Error("connection reset");
+    });
+  });
+  after(() => mock.restoreAll());
+
+  it("keeps a saved post when adding it to the default feed fails", async () => {
+    const { post } = await importSinglePost("user-1", youtube, {
+      url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+    });
+
+    assert.equal(post._id, "65f0c2a1b4e3d2c1a0f9e8d7");
+    assert.equal(post.title, "Linen set");
+  });
+});
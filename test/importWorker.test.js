@@ -0,0 +1,25 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const ImportJob = require("../models/ImportJob");
+const { processQueue } = require("../workers/importWorker");
+
+describe("import worker", () => {
+  afterEach(() => mock.restoreAll());
+
+  it("fails stale jobs that were requeued too often and requeues the rest", async () => {
+    const updateMany = mock.method(ImportJob, "updateMany", async () => ({}));
+    mock.method(ImportJob, "findOneAndUpdate", async () => null);
+
+    await processQueue();
+
+    const [failed, requeued] = updateMany.mock.calls.map(
+      (call) => call.arguments
+    );
+    assert.equal(failed[0].status, "running");
+    assert.deepEqual(failed[0].requeues, { $gte: 2 });
+    assert.equal(failed[1].status, "failed");
+    assert.deepEqual(requeued[0].requeues, { $lt: 2 });
+    assert.equal(requeued[1].status, "queued");
+    assert.deepEqual(requeued[1].$inc, { requeues: 1 });
+  });
+});
@@ -0,0 +1,207 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  createInstagramService,
+  normalizeInstagramUrl,
+  parseInstagramPage,
+} = require("../services/instagramService");
+
+const loadFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "instagram", name), "utf8");
+
+// Serves a saved page for every page request and records image downloads
+const createFixtureHttp = (fixture) => {
+  const html = loadFixture(fixture);
+  const downloads = [];
+  return {
+    downloads,
+    get: async () => ({ data: html }),
+    head: async () => ({
+      status: 200,
+      headers: { "content-type": "video/mp4" },
+    }),
+    request: async (config) => {
+      downloads.push(config.url);
+      return {
+        data: Buffer.alloc(20000),
+        headers: { "content-type": "image/jpeg" },
+      };
+    },
+  };
+};
+
+const upload = async () =>
+  "https://res.cloudinary.com/demo/image/upload/instagram.jpg";
+
+describe("Instagram scraper", () => {
+  // The scraper logs every step; keep the test output readable
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  describe("normalizeInstagramUrl", () => {
+    it("keeps reels on their /reel/ URL", () => {
+      const { processedUrl } = normalizeInstagramUrl(
+        "https://www.instagram.com/reel/C8rEeLsHoRt/?igsh=MWQ1ZGUxMzBkMA=="
+      );
+      assert.equal(processedUrl, "https://www.instagram.com/reel/C8rEeLsHoRt/");
+    });
+
+    it("reads the post URL out of an embed code", () => {
+      const embedCode =
+        '<blockquote class="instagram-media" data-instgrm-permalink="https://www.instagram.com/p/C6aBcDeFgHi/?utm_source=ig_embed"></blockquote>';
+      const { processedUrl, originalEmbedCode } =
+        normalizeInstagramUrl(embedCode);
+      assert.equal(processedUrl, "https://www.instagram.com/p/C6aBcDeFgHi/");
+      assert.equal(originalEmbedCode, embedCode);
+    });
+
+    it("rejects profile URLs", () => {
+      assert.throws(
+        () => normalizeInstagramUrl("https://www.instagram.com/private.shop/"),
+        { statusCode: 400 }
+      );
+    });
+  });
+
+  describe("parseInstagramPage", () => {
+    it("uses og:image for a post and strips the size crop", () => {
+      const page = parseInstagramPage(loadFixture("post.html"));
+      assert.equal(
+        page.imageUrl,
+        "https://scontent-lhr8-1.cdninstagram.com/v/t51.29350-15/431234567_1234567890_n.jpg"
+      );
+      assert.equal(page.extractionMethod, "og_image");
+      assert.equal(page.videoUrl, null);
+      assert.deepEqual(page.slides, []);
+    });
+
+    it("picks the largest display_resources entry from shared data", () => {
+      const page = parseInstagramPage(loadFixture("shared-data.html"));
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.cdninstagram.com/v/t51.29350-15/431234567_1080_n.jpg"
+      );
+      assert.equal(page.extractionMethod, "json_display_resources");
+    });
+
+    it("skips a profile picture in og:image for a post image tag", () => {
+      const page = parseInstagramPage(loadFixture("profile-og-image.html"));
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.cdninstagram.com/v/t51.29350-15/440011223_998877665_n.jpg"
+      );
+      assert.equal(page.extractionMethod, "meta_tag_twitter_image:src");
+    });
+
+    it("returns the cover and playable video of a reel", () => {
+      const page = parseInstagramPage(loadFixture("reel.html"));
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.cdninstagram.com/v/t51.29350-15/445566778_reel_cover_n.jpg"
+      );
+      assert.equal(
+        page.videoUrl,
+        "https://scontent.cdninstagram.com/o1/v/t16/f1/m82/reel_720p.mp4?efg=eyJ2&oe=6650A1B2"
+      );
+    });
+
+    it("returns every slide of a carousel in order", () => {
+      const page = parseInstagramPage(loadFixture("carousel.html"));
+      assert.deepEqual(page.slides, [
+        {
+          type: "image",
+          url: "https://scontent.cdninstagram.com/v/t51.29350-15/450000001_slide1_1080_n.jpg",
+          thumbnailUrl:
+            "https://scontent.cdninstagram.com/v/t51.29350-15/450000001_slide1_1080_n.jpg",
+        },
+        {
+          type: "video",
+          url: "https://scontent.cdninstagram.com/o1/v/t16/f1/m82/slide2.mp4?oe=6650A1B2",
+          thumbnailUrl:
+            "https://scontent.cdninstagram.com/v/t51.29350-15/450000002_slide2_cover_n.jpg",
+        },
+        {
+          type: "image",
+          url: "https://scontent.cdninstagram.com/v/t51.29350-15/450000003_slide3_n.jpg",
+          thumbnailUrl:
+            "https://scontent.cdninstagram.com/v/t51.29350-15/450000003_slide3_n.jpg",
+        },
+      ]);
+    });
+
+    it("falls back to the profile picture when a private account hides the post", () => {
+      const page = parseInstagramPage(loadFixture("private-account.html"));
+      assert.equal(
+        page.imageUrl,
+        "https://scontent.cdninstagram.com/v/t51.2885-19/412345678_1122334455_n.jpg?stp=dst-jpg_s150x150&_nc_ht=scontent.cdninstagram.com"
+      );
+      assert.equal(page.extractionMethod, "og_image_profile");
+    });
+
+    it("throws a 404 error on the login wall", () => {
+      assert.throws(() => parseInstagramPage(loadFixture("login-wall.html")), {
+        statusCode: 404,
+      });
+    });
+  });
+
+  describe("extract", () => {
+    it("downloads the chosen image and stores the re-hosted copy", async () => {
+      const http = createFixtureHttp("post.html");
+      const result = await createInstagramService({ http, upload }).extract({
+        url: "https://www.instagram.com/p/C6aBcDeFgHi/",
+      });
+
+      assert.deepEqual(http.downloads, [
+        "https://scontent-lhr8-1.cdninstagram.com/v/t51.29350-15/431234567_1234567890_n.jpg",
+      ]);
+      assert.equal(
+        result.post.imageUrl,
+        "https://res.cloudinary.com/demo/image/upload/instagram.jpg"
+      );
+      assert.equal(result.post.mediaType, "image");
+    });
+
+    it("stores a reel as a video post", async () => {
+      const http = createFixtureHttp("reel.html");
+      const result = await createInstagramService({ http, upload }).extract({
+        url: "https://www.instagram.com/reel/C8rEeLsHoRt/",
+      });
+
+      assert.equal(result.post.mediaType, "video");
+      assert.equal(
+        result.post.videoPath,
+        "https://scontent.cdninstagram.com/o1/v/t16/f1/m82/reel_720p.mp4?efg=eyJ2&oe=6650A1B2"
+      );
+    });
+
+    it("re-hosts each carousel slide", async () => {
+      const http = createFixtureHttp("carousel.html");
+      const result = await createInstagramService({ http, upload }).extract({
+        url: "https://www.instagram.com/p/C9cArOuSeL1/",
+      });
+
+      assert.deepEqual(
+        result.post.media.map((slide) => slide.type),
+        ["image", "video", "image"]
+      );
+      assert.equal(http.downloads.length, 3);
+      assert.equal(result.extractionMethod, "carousel");
+    });
+
+    it("rejects with a 404 error on the login wall", async () => {
+      const http = createFixtureHttp("login-wall.html");
+      await assert.rejects(
+        createInstagramService({ http, upload }).extract({
+          url: "https://www.instagram.com/p/C6aBcDeFgHi/",
+        }),
+        { statusCode: 404 }
+      );
+    });
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createLinkHealthService } = require("../services/linkHealthService");
+
+// Answers each URL with the given status; unknown URLs load fine
+const createStatusHttp = (statuses) => {
+  const respond = async (url) => ({ status: statuses[url] || 200 });
+  return { get: respond, head: respond };
+};
+
+const post = {
+  platform: "instagram",
+  url: "https://www.instagram.com/p/C6aBcDeFgHi/",
+  imageUrl: "https://res.cloudinary.com/demo/image/upload/instagram.jpg",
+};
+
+describe("link health checker", () => {
+  it("passes a post whose page and image load", async () => {
+    const http = createStatusHttp({});
+    assert.equal(await createLinkHealthService({ http }).checkPost(post), null);
+  });
+
+  it("reports a removed post", async () => {
+    const http = createStatusHttp({ [post.url]: 404 });
+    assert.equal(
+      await createLinkHealthService({ http }).checkPost(post),
+      "Post was removed"
+    );
+  });
+
+  it("reports an image that no longer loads", async () => {
+    const http = createStatusHttp({ [post.imageUrl]: 404 });
+    assert.equal(
+      await createLinkHealthService({ http }).checkPost(post),
+      "Image is no longer available"
+    );
+  });
+
+  it("treats a refused image as inconclusive", async () => {
+    const facebookPost = {
+      platform: "facebook",
+      url: "https://www.facebook.com/shoplinkify/posts/pfbid0abcDEF123",
+      imageUrl:
+        "https://scontent.flhe3-1.fna.fbcdn.net/v/t39.30808-6/441234567_n.jpg",
+    };
+    const http = createStatusHttp({ [facebookPost.imageUrl]: 403 });
+    await assert.rejects(
+      createLinkHealthService({ http }).checkPost(facebookPost),
+      { statusCode: 403 }
+    );
+  });
+
+  it("treats a rate limited page as inconclusive", async () => {
+    const http = createStatusHttp({ [post.url]: 429 });
+    await assert.rejects(createLinkHealthService({ http }).checkPost(post), {
+      statusCode: 429,
+    });
+  });
+});
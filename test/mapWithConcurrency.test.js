@@ -0,0 +1,31 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const mapWithConcurrency = require("../utils/mapWithConcurrency");
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("mapWithConcurrency", () => {
+  it("keeps results in input order", async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms) => {
+      await delay(ms);
+      return ms;
+    });
+    assert.deepEqual(results, [30, 10, 20]);
+  });
+
+  it("never runs more than `limit` calls at once", async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency([1, 2, 3, 4, 5, 6, 7], 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(5);
+      running--;
+    });
+    assert.equal(maxRunning, 3);
+  });
+
+  it("returns an empty array for no items", async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
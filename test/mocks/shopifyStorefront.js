@@ -0,0 +1,87 @@
+const http = require("http");
+
+// A stand-in for the Shopify Storefront GraphQL API. It answers the shop,
+// products and nodes queries services/shopifyService.js sends; connect a
+// store with storeDomain set to its URL to use it.
+const defaultProducts = [
+  {
+    id: "gid://shopify/Product/1001",
+    title: "Linen set",
+    handle: "linen-set",
+    onlineStoreUrl: null,
+    availableForSale: true,
+    featuredImage: { url: "https://cdn.shopify.com/linen-set.jpg" },
+    priceRange: { minVariantPrice: { amount: "89.0", currencyCode: "EUR" } },
+  },
+  {
+    id: "gid://shopify/Product/1002",
+    title: "Straw tote",
+    handle: "straw-tote",
+    onlineStoreUrl: "https://shop.example/products/straw-tote",
+    availableForSale: false,
+    featuredImage: null,
+    priceRange: { minVariantPrice: { amount: "45.5", currencyCode: "EUR" } },
+  },
+];
+
+const startMockStorefront = ({
+  products = defaultProducts,
+  accessToken = "storefront-token",
+  shopName = "Mock Shop",
+  port = 0,
+} = {}) =>
+  new Promise((resolve) => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        const send = (status, payload) => {
+          res.writeHead(status, { "Content-Type": "application/json" });
+          res.end(JSON.stringify(payload));
+        };
+
+        if (!/^\/api\/[\d-]+\/graphql\.json$/.test(req.url)) {
+          return send(404, { errors: "Not Found" });
+        }
+        if (req.headers["x-shopify-storefront-access-token"] !== accessToken) {
+          return send(401, { errors: "Unauthorized" });
+        }
+
+        const { query, variables = {} } = JSON.parse(body || "{}");
+        requests.push({ query, variables });
+
+        if (/\bshop\s*{/.test(query)) {
+          return send(200, { data: { shop: { name: shopName } } });
+        }
+        if (/\bproducts\s*\(/.test(query)) {
+          const search = (variables.query || "").toLowerCase();
+          const matches = products
+            .filter((product) => product.title.toLowerCase().includes(search))
+            .slice(0, variables.first);
+          return send(200, {
+            data: {
+              products: { edges: matches.map((node) => ({ node })) },
+            },
+          });
+        }
+        if (/\bnodes\s*\(/.test(query)) {
+          const nodes = variables.ids.map(
+            (id) => products.find((product) => product.id === id) || null
+          );
+          return send(200, { data: { nodes } });
+        }
+        send(200, { errors: [{ message: "Unsupported query" }] });
+      });
+    });
+
+    server.listen(port, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+module.exports = { startMockStorefront, defaultProducts };
@@ -0,0 +1,91 @@
+const http = require("http");
+
+// A stand-in for the WooCommerce REST API (wp-json/wc/v3). It answers the
+// requests services/wooCommerceService.js sends; connect a store with its
+// URL as siteUrl to use it.
+const defaultProducts = [
+  {
+    id: 501,
+    name: "Linen set",
+    permalink: "https://shop.example/product/linen-set/",
+    price: "89.00",
+    stock_status: "instock",
+    status: "publish",
+    images: [{ src: "https://shop.example/uploads/linen-set.jpg" }],
+  },
+  {
+    id: 502,
+    name: "Straw tote",
+    permalink: "https://shop.example/product/straw-tote/",
+    price: "",
+    stock_status: "outofstock",
+    status: "publish",
+    images: [],
+  },
+];
+
+const startMockWooCommerce = ({
+  products = defaultProducts,
+  consumerKey = "ck_test",
+  consumerSecret = "cs_test",
+  siteName = "Mock Woo Shop",
+  currency = "EUR",
+  basePath = "",
+} = {}) =>
+  new Promise((resolve) => {
+    const requests = [];
+    const expectedAuth = `Basic ${Buffer.from(
+      `${consumerKey}:${consumerSecret}`
+    ).toString("base64")}`;
+
+    const server = http.createServer((req, res) => {
+      const send = (status, payload) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(payload));
+      };
+
+      const url = new URL(req.url, "http://localhost");
+      const path = url.pathname.startsWith(basePath)
+        ? url.pathname.slice(basePath.length)
+        : null;
+      requests.push({ path, query: Object.fromEntries(url.searchParams) });
+
+      if (path === "/wp-json") {
+        return send(200, { name: siteName });
+      }
+      if (!path || !path.startsWith("/wp-json/wc/v3/")) {
+        return send(404, { code: "rest_no_route" });
+      }
+      if (req.headers.authorization !== expectedAuth) {
+        return send(401, { code: "woocommerce_rest_cannot_view" });
+      }
+
+      if (path === "/wp-json/wc/v3/data/currencies/current") {
+        return send(200, { code: currency });
+      }
+      if (path === "/wp-json/wc/v3/products") {
+        const search = (url.searchParams.get("search") || "").toLowerCase();
+        const include = url.searchParams.get("include");
+        const ids = include ? include.split(",").map(Number) : null;
+        const perPage = Number(url.searchParams.get("per_page")) || 10;
+        return send(
+          200,
+          products
+            .filter((product) => !ids || ids.includes(product.id))
+            .filter((product) => product.name.toLowerCase().includes(search))
+            .slice(0, perPage)
+        );
+      }
+      send(404, { code: "rest_no_route" });
+    });
+
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}${basePath}`,
+        requests,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+
+module.exports = { startMockWooCommerce, defaultProducts };
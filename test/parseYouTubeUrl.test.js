@@ -0,0 +1,77 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseYouTubeUrl } = require("../utils/parseYouTubeUrl");
+
+const canonicalUrl = "https://www.youtube.com/watch?v=dQw4w9WgXcQ";
+
+describe("parseYouTubeUrl", () => {
+  it("reads the v param of a watch URL wherever it is", () => {
+    assert.deepEqual(
+      parseYouTubeUrl("https://www.youtube.com/watch?v=dQw4w9WgXcQ"),
+      { videoId: "dQw4w9WgXcQ", isShort: false, canonicalUrl }
+    );
+    assert.equal(
+      parseYouTubeUrl("https://m.youtube.com/watch?feature=share&v=dQw4w9WgXcQ")
+        .videoId,
+      "dQw4w9WgXcQ"
+    );
+  });
+
+  it("reads youtu.be links, with or without a scheme", () => {
+    assert.equal(
+      parseYouTubeUrl("https://youtu.be/dQw4w9WgXcQ?si=abc").canonicalUrl,
+      canonicalUrl
+    );
+    assert.equal(
+      parseYouTubeUrl("youtu.be/dQw4w9WgXcQ").canonicalUrl,
+      canonicalUrl
+    );
+  });
+
+  it("flags /shorts/ links", () => {
+    assert.deepEqual(
+      parseYouTubeUrl("https://www.youtube.com/shorts/dQw4w9WgXcQ"),
+      { videoId: "dQw4w9WgXcQ", isShort: true, canonicalUrl }
+    );
+  });
+
+  it("reads embed URLs and iframe embed codes", () => {
+    assert.equal(
+      parseYouTubeUrl("https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ")
+        .canonicalUrl,
+      canonicalUrl
+    );
+    assert.equal(
+      parseYouTubeUrl(
+        '<iframe width="560" height="315" src="https://www.youtube.com/embed/dQw4w9WgXcQ?start=30" frameborder="0"></iframe>'
+      ).canonicalUrl,
+      canonicalUrl
+    );
+  });
+
+  it("reads the video of a watch URL inside a playlist", () => {
+    assert.equal(
+      parseYouTubeUrl(
+        "https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf&index=2"
+      ).canonicalUrl,
+      canonicalUrl
+    );
+  });
+
+  it("rejects URLs without a single video", () => {
+    assert.equal(
+      parseYouTubeUrl(
+        "https://www.youtube.com/playlist?list=PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf"
+      ),
+      null
+    );
+    assert.equal(parseYouTubeUrl("https://www.youtube.com/@shoplinkify"), null);
+    assert.equal(
+      parseYouTubeUrl("https://www.youtube.com/watch?v=short"),
+      null
+    );
+    assert.equal(parseYouTubeUrl("https://vimeo.com/76979871"), null);
+    assert.equal(parseYouTubeUrl("<iframe></iframe>"), null);
+    assert.equal(parseYouTubeUrl(""), null);
+  });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  createPinterestService,
+  parsePinWidgetData,
+  parsePinPage,
+  isExternalLink,
+} = require("../services/pinterestService");
+
+const loadFixture = (name) =>
+  fs.readFileSync(path.join(__dirname, "fixtures", "pinterest", name), "utf8");
+
+const loadWidgetFixture = (name) => JSON.parse(loadFixture(name));
+
+// Answers the widgets API with `widget` and the pin page with `page`
+const createFixtureHttp = (widget, page) => ({
+  get: async (url) => ({
+    data: url.includes("widgets.pinterest.com")
+      ? loadWidgetFixture(widget)
+      : loadFixture(page),
+  }),
+});
+
+const upload = async () =>
+  "https://res.cloudinary.com/demo/image/upload/pinterest.jpg";
+
+describe("Pinterest scraper", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  describe("isExternalLink", () => {
+    it("accepts product pages", () => {
+      assert.equal(isExternalLink("https://shop.example/products/tote"), true);
+    });
+
+    it("rejects links back to Pinterest", () => {
+      assert.equal(
+        isExternalLink("https://www.pinterest.com/shopexample/summer/"),
+        false
+      );
+      assert.equal(isExternalLink("https://uk.pinterest.co.uk/pin/1/"), false);
+      assert.equal(isExternalLink("https://pin.it/3xAmPlE"), false);
+    });
+
+    it("rejects empty and relative links", () => {
+      assert.equal(isExternalLink(""), false);
+      assert.equal(isExternalLink(null), false);
+      assert.equal(isExternalLink("/pin/1234567890123456/"), false);
+    });
+  });
+
+  describe("parsePinWidgetData", () => {
+    it("reads the original image, title and outbound link", () => {
+      assert.deepEqual(parsePinWidgetData(loadWidgetFixture("widget.json")), {
+        imageUrl: "https://i.pinimg.com/originals/ab/cd/ef/abcdef.jpg",
+        title: "Linen set, sand",
+        description: "Our weekend linen set in sand",
+        link: "https://shop.example/products/linen-set?utm_source=pinterest",
+      });
+    });
+
+    it("falls back to the largest image size there is", () => {
+      const pin = parsePinWidgetData(
+        loadWidgetFixture("widget-pinterest-link.json")
+      );
+      assert.equal(
+        pin.imageUrl,
+        "https://i.pinimg.com/564x/12/34/56/123456.jpg"
+      );
+    });
+
+    it("throws when the pin is missing", () => {
+      assert.throws(
+        () => parsePinWidgetData({ status: "success", data: [] }),
+        /Pin not found/
+      );
+    });
+  });
+
+  describe("parsePinPage", () => {
+    it("reads the Open Graph tags and the source link", () => {
+      assert.deepEqual(parsePinPage(loadFixture("pin-page.html")), {
+        imageUrl: "https://i.pinimg.com/736x/ab/cd/ef/abcdef.jpg",
+        title: "Linen set, sand",
+        description: "Our weekend linen set in sand",
+        link: "https://shop.example/products/linen-set",
+      });
+    });
+
+    it("unescapes the embedded JSON link when the tags point to Pinterest", () => {
+      const pin = parsePinPage(loadFixture("pin-page-json-link.html"));
+      assert.equal(
+        pin.link,
+        "https://shop.example/products/straw-tote?variant=2&ref=pin"
+      );
+      assert.equal(
+        pin.imageUrl,
+        "https://i.pinimg.com/736x/12/34/56/123456.jpg"
+      );
+    });
+
+    it("leaves the link empty when the pin has none", () => {
+      assert.equal(parsePinPage(loadFixture("pin-page-no-link.html")).link, "");
+    });
+  });
+
+  describe("extract", () => {
+    it("imports a pin with its product link from the widgets API", async () => {
+      const pinterest = createPinterestService({
+        http: createFixtureHttp("widget.json", "pin-page.html"),
+        upload,
+      });
+      const { post } = await pinterest.extract({
+        url: "https://www.pinterest.com/pin/linen-set--1234567890123456/",
+      });
+
+      assert.equal(post.url, "https://www.pinterest.com/pin/1234567890123456/");
+      assert.equal(post.pinId, "1234567890123456");
+      assert.equal(
+        post.imageUrl,
+        "https://res.cloudinary.com/demo/image/upload/pinterest.jpg"
+      );
+      assert.equal(
+        post.productLink,
+        "https://shop.example/products/linen-set?utm_source=pinterest"
+      );
+    });
+
+    it("takes the link from the pin page when the widget links to Pinterest", async () => {
+      const pinterest = createPinterestService({
+        http: createFixtureHttp(
+          "widget-pinterest-link.json",
+          "pin-page-json-link.html"
+        ),
+        upload,
+      });
+      const { post } = await pinterest.extract({
+        url: "https://www.pinterest.com/pin/1234567890123456/",
+      });
+
+      assert.equal(post.title, "Straw tote");
+      assert.equal(
+        post.productLink,
+        "https://shop.example/products/straw-tote?variant=2&ref=pin"
+      );
+    });
+
+    it("imports a pin without a product link", async () => {
+      const pinterest = createPinterestService({
+        http: createFixtureHttp(
+          "widget-pinterest-link.json",
+          "pin-page-no-link.html"
+        ),
+        upload,
+      });
+      const { post } = await pinterest.extract({
+        url: "https://www.pinterest.com/pin/1234567890123456/",
+      });
+
+      assert.equal(post.productLink, "");
+      assert.equal(post.destinationUrl, "");
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { toFeedItem } = require("../platforms");
+
+describe("toFeedItem", () => {
+  const post = {
+    platform: "pinterest",
+    url: "https://www.pinterest.com/pin/123/",
+    imageUrl: "https://res.cloudinary.com/demo/image/upload/pin.jpg",
+    productLink: "https://shop.example/products/straw-tote",
+    productMeta: {
+      url: "https://shop.example/products/straw-tote",
+      title: "Straw tote",
+      price: 45,
+      currency: "EUR",
+    },
+  };
+
+  it("shows the product card read from the post's product link", () => {
+    const { productCard } = toFeedItem(post);
+    assert.equal(productCard.title, "Straw tote");
+    assert.equal(productCard.url, post.productLink);
+  });
+
+  it("leaves out a card read from an earlier product link", () => {
+    const { productCard } = toFeedItem({
+      ...post,
+      productLink: "https://shop.example/products/linen-set",
+    });
+    assert.equal(productCard, null);
+  });
+});
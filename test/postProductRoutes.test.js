@@ -0,0 +1,277 @@
+const { describe, it, before, after, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Product = require("../models/Product");
+const socialRoutes = require("../routes/social");
+
+// Product hotspots tagged on a post, under /api/social/post/:postId/products
+describe("post product routes", () => {
+  const user = new User({ name: "Shop", email: "shop@example.com" });
+  let server;
+  let baseUrl;
+  let token;
+  let post;
+  let postFilters;
+
+  before(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    mock.method(console, "log", () => {});
+    mock.method(User, "findById", async () => user);
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/social", socialRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/social`;
+  });
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  // A post of the user with one tagged product; Post.findOne answers with it
+  // only when the filter names its owner
+  beforeEach(() => {
+    post = new Post({
+      user: user._id,
+      platform: "instagram",
+      url: "https://www.instagram.com/p/abc/",
+      products: [
+        {
+          name: "Linen set",
+          url: "https://shop.example/products/linen-set",
+          x: 0.25,
+          y: 0.5,
+        },
+      ],
+    });
+    mock.method(post, "save", async () => post);
+    postFilters = [];
+    mock.method(Post, "findOne", async (filter) => {
+      postFilters.push(filter);
+      return String(filter.user) === String(post.user) &&
+        String(filter._id) === String(post._id)
+        ? post
+        : null;
+    });
+  });
+
+  const send = (method, path, body) =>
+    fetch(`${baseUrl}/post/${post._id}/products${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: body && JSON.stringify(body),
+    });
+
+  describe("POST /", () => {
+    it("tags a free-form product at a hotspot", async () => {
+      const response = await send("POST", "", {
+        name: "Straw tote",
+        url: "https://shop.example/products/straw-tote",
+        price: "45",
+        currency: "eur",
+        x: 0.1,
+        y: 0.9,
+      });
+
+      assert.equal(response.status, 201);
+      const { data } = await response.json();
+      assert.equal(data.name, "Straw tote");
+      assert.equal(data.price, 45);
+      assert.equal(data.currency, "EUR");
+      assert.deepEqual([data.x, data.y], [0.1, 0.9]);
+      assert.equal(post.products.length, 2);
+      assert.equal(post.save.mock.callCount(), 1);
+    });
+
+    for (const [field, value] of [
+      ["x", 1.5],
+      ["y", -0.1],
+    ]) {
+      it(`rejects ${field} outside 0 to 1`, async () => {
+        const response = await send("POST", "", {
+          name: "Straw tote",
+          url: "https://shop.example/products/straw-tote",
+          [field]: value,
+        });
+
+        assert.equal(response.status, 400);
+        assert.equal(
+          (await response.json()).message,
+          `${field} must be between 0 and 1`
+        );
+        assert.equal(post.save.mock.callCount(), 0);
+      });
+    }
+
+    it("requires a name and URL without a catalog product", async () => {
+      const response = await send("POST", "", { x: 0.5, y: 0.5 });
+
+      assert.equal(response.status, 400);
+      const { errors } = await response.json();
+      assert.deepEqual(
+        [...new Set(errors.map((error) => error.path))],
+        ["name", "url"]
+      );
+    });
+
+    it("fills a tag from one of the user's catalog products", async () => {
+      const product = new Product({
+        user: user._id,
+        title: "Linen shirt",
+        url: "https://shop.example/products/linen-shirt",
+        price: 79,
+        currency: "EUR",
+        availability: "in_stock",
+      }).toObject();
+      const findProduct = mock.method(Product, "findOne", () => ({
+        lean: async () => product,
+      }));
+
+      const response = await send("POST", "", {
+        product: product._id,
+        x: 0.5,
+        y: 0.5,
+      });
+
+      assert.equal(response.status, 201);
+      const { data } = await response.json();
+      assert.equal(data.product, String(product._id));
+      assert.equal(data.name, "Linen shirt");
+      assert.equal(data.url, product.url);
+      assert.equal(data.price, 79);
+      assert.equal(
+        String(findProduct.mock.calls[0].arguments[0].user),
+        String(user._id)
+      );
+      findProduct.mock.restore();
+    });
+
+    it("answers 404 for a catalog product the user does not have", async () => {
+      const findProduct = mock.method(Product, "findOne", () => ({
+        lean: async () => null,
+      }));
+
+      const response = await send("POST", "", { product: new Product()._id });
+
+      assert.equal(response.status, 404);
+      assert.equal(
+        (await response.json()).message,
+        "Catalog product not found"
+      );
+      assert.equal(post.save.mock.callCount(), 0);
+      findProduct.mock.restore();
+    });
+
+    it("rejects a catalog product that is not an id", async () => {
+      const response = await send("POST", "", { product: "linen-shirt" });
+
+      assert.equal(response.status, 400);
+      assert.equal(
+        (await response.json()).message,
+        "product must be a catalog product id"
+      );
+    });
+
+    it("answers 404 for another user's post", async () => {
+      post.user = new User()._id;
+
+      const response = await send("POST", "", {
+        name: "Straw tote",
+        url: "https://shop.example/products/straw-tote",
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(String(postFilters[0].user), String(user._id));
+      assert.equal(post.save.mock.callCount(), 0);
+    });
+  });
+
+  describe("PATCH /:productId", () => {
+    it("moves a hotspot", async () => {
+      const tag = post.products[0];
+      const response = await send("PATCH", `/${tag._id}`, { x: 0.75 });
+
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual([data.x, data.y], [0.75, 0.5]);
+      assert.equal(data.name, "Linen set");
+      assert.equal(post.save.mock.callCount(), 1);
+    });
+
+    it("untags a product with null positions", async () => {
+      const tag = post.products[0];
+      const response = await send("PATCH", `/${tag._id}`, {
+        x: null,
+        y: null,
+      });
+
+      assert.equal(response.status, 200);
+      const { data } = await response.json();
+      assert.deepEqual([data.x, data.y], [null, null]);
+    });
+
+    it("lets an update leave out name and URL but not send invalid ones", async () => {
+      const tag = post.products[0];
+      const response = await send("PATCH", `/${tag._id}`, { url: "nope" });
+
+      assert.equal(response.status, 400);
+      assert.equal(
+        (await response.json()).message,
+        "Please provide a valid product URL"
+      );
+    });
+
+    it("answers 404 for a tag that is not on the post", async () => {
+      const response = await send("PATCH", `/${new Post()._id}`, { x: 0.5 });
+
+      assert.equal(response.status, 404);
+      assert.equal((await response.json()).message, "Product not found");
+    });
+  });
+
+  describe("DELETE /:productId", () => {
+    it("removes a tagged product", async () => {
+      const tag = post.products[0];
+      const response = await send("DELETE", `/${tag._id}`);
+
+      assert.equal(response.status, 200);
+      assert.equal(post.products.length, 0);
+      assert.equal(post.save.mock.callCount(), 1);
+    });
+
+    it("answers 404 for a tag that is not on the post", async () => {
+      const response = await send("DELETE", `/${new Post()._id}`);
+
+      assert.equal(response.status, 404);
+      assert.equal(post.save.mock.callCount(), 0);
+    });
+
+    it("answers 404 for a malformed post id", async () => {
+      mock.method(Post, "findOne", async () => {
+        const error = new Error("Cast to ObjectId failed");
+        error.name = "CastError";
+        throw error;
+      });
+
+      const response = await fetch(`${baseUrl}/post/nope/products/abc`, {
+        method: "DELETE",
+        headers: { Authorization: `Bearer ${token}` },
+      });
+
+      assert.equal(response.status, 404);
+      assert.equal(
+        (await response.json()).message,
+        "Post not found or unauthorized"
+      );
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Post = require("../models/Post");
+const {
+  getFeedItems,
+  toMerchantXml,
+  toMerchantCsv,
+  findUserByProductFeedToken,
+} = require("../services/productFeedService");
+
+const items = [
+  {
+    id: "65f1a2b3c4d5e6f708091a2b",
+    title: "Linen set, sand",
+    description: 'Our "weekend" set',
+    link: "https://shop.example/products/linen-set?variant=1&ref=feed",
+    imageLink: "https://shop.example/linen-set.jpg",
+    additionalImages: [
+      "https://res.cloudinary.com/demo/image/upload/post-1.jpg",
+      "https://res.cloudinary.com/demo/image/upload/post-2.jpg",
+    ],
+    availability: "in stock",
+    price: "89.00 EUR",
+  },
+  {
+    id: "3f786850e387550f",
+    title: "Straw tote",
+    description: "",
+    link: "https://shop.example/products/straw-tote",
+    imageLink: "https://res.cloudinary.com/demo/image/upload/post-3.jpg",
+    additionalImages: [],
+    availability: "out of stock",
+    price: null,
+  },
+];
+
+describe("product feed", () => {
+  it("writes a Merchant Center RSS feed with escaped values", () => {
+    const xml = toMerchantXml(items, {
+      title: "Demo products",
+      link: "https://api.shoplinkify.example",
+    });
+
+    assert.match(
+      xml,
+      /<rss version="2.0" xmlns:g="http:\/\/base.google.com\/ns\/1.0">/
+    );
+    assert.match(
+      xml,
+      /<g:link>https:\/\/shop.example\/products\/linen-set\?variant=1&amp;ref=feed<\/g:link>/
+    );
+    assert.match(
+      xml,
+      /<g:description>Our &quot;weekend&quot; set<\/g:description>/
+    );
+    assert.equal(xml.match(/<g:additional_image_link>/g).length, 2);
+    assert.match(xml, /<g:price>89.00 EUR<\/g:price>/);
+    // Unknown values are left out rather than sent empty
+    assert.equal(xml.match(/<g:price>/g).length, 1);
+  });
+
+  it("writes a CSV feed with quoted fields", () => {
+    const lines = toMerchantCsv(items).trim().split("\r\n");
+
+    assert.equal(
+      lines[0],
+      "id,title,description,link,image_link,additional_image_link,availability,price,condition,identifier_exists"
+    );
+    assert.equal(
+      lines[1],
+      '65f1a2b3c4d5e6f708091a2b,"Linen set, sand","Our ""weekend"" set",https://shop.example/products/linen-set?variant=1&ref=feed,https://shop.example/linen-set.jpg,"https://res.cloudinary.com/demo/image/upload/post-1.jpg,https://res.cloudinary.com/demo/image/upload/post-2.jpg",in stock,89.00 EUR,new,no'
+    );
+    assert.equal(
+      lines[2],
+      "3f786850e387550f,Straw tote,,https://shop.example/products/straw-tote,https://res.cloudinary.com/demo/image/upload/post-3.jpg,,out of stock,,new,no"
+    );
+  });
+
+  describe("getFeedItems", () => {
+    afterEach(() => mock.restoreAll());
+
+    const tag = (fields) => ({
+      url: `https://shop.example/products/${fields.name}`,
+      image: "https://shop.example/product.jpg",
+      currency: "EUR",
+      ...fields,
+    });
+
+    it("leaves out products without a price or a known availability", async () => {
+      const post = new Post({ platform: "youtube" }).toObject();
+      post.products = [
+        tag({ name: "set", price: 89, availability: "in_stock" }),
+        tag({ name: "tote", price: null, availability: "in_stock" }),
+        tag({ name: "hat", price: 20, availability: "" }),
+      ];
+      mock.method(Post, "find", () => ({
+        sort: () => ({ lean: async () => [post] }),
+      }));
+
+      const { items, skipped } = await getFeedItems(post.user);
+
+      assert.deepEqual(
+        items.map((item) => [item.title, item.price, item.availability]),
+        [["set", "89.00 EUR", "in stock"]]
+      );
+      assert.deepEqual(
+        skipped.map((item) => [item.title, item.missing]),
+        [
+          ["tote", ["price"]],
+          ["hat", ["availability"]],
+        ]
+      );
+    });
+  });
+
+  it("does not look up malformed feed tokens", async () => {
+    assert.equal(await findUserByProductFeedToken("abc"), null);
+    assert.equal(await findUserByProductFeedToken({ $ne: null }), null);
+  });
+});
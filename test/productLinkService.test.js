@@ -0,0 +1,103 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  createProductLinkService,
+  findOutOfStockSignal,
+} = require("../services/productLinkService");
+
+const productUrl = "https://shop.example/products/linen-set";
+
+const loadFixture = (name) =>
+  fs.readFileSync(
+    path.join(__dirname, "fixtures", "product-pages", name),
+    "utf8"
+  );
+
+// Answers every request with the given page, as if redirected to `finalUrl`
+const createPageHttp = ({
+  status = 200,
+  html = "",
+  finalUrl = productUrl,
+}) => ({
+  get: async () => ({
+    status,
+    data: html,
+    request: { res: { responseUrl: finalUrl } },
+  }),
+});
+
+describe("product link checker", () => {
+  describe("findOutOfStockSignal", () => {
+    it("reads the availability of a JSON-LD offer", () => {
+      const html =
+        '<script type="application/ld+json">{"@type":"Product","offers":{"availability":"https://schema.org/OutOfStock"}}</script>';
+      assert.equal(findOutOfStockSignal(html), "json_ld_outofstock");
+    });
+
+    it("keeps a product with some variants in stock available", () => {
+      assert.equal(
+        findOutOfStockSignal(loadFixture("variants-one-sold-out.html")),
+        null
+      );
+    });
+
+    it("reports a product once every variant is sold out", () => {
+      assert.equal(
+        findOutOfStockSignal(loadFixture("variants-all-sold-out.html")),
+        "json_ld_soldout"
+      );
+    });
+
+    it("reads the product:availability meta tag", () => {
+      const html =
+        '<meta property="product:availability" content="out of stock">';
+      assert.equal(findOutOfStockSignal(html), "meta_availability");
+    });
+
+    it("ignores products in stock", () => {
+      const html =
+        '<link itemprop="availability" href="https://schema.org/InStock">';
+      assert.equal(findOutOfStockSignal(html), null);
+    });
+  });
+
+  describe("checkProductLink", () => {
+    it("reports a product page that loads", async () => {
+      const http = createPageHttp({ html: "<h1>Linen set</h1>" });
+      const result = await createProductLinkService({
+        http,
+      }).checkProductLink(productUrl);
+      assert.equal(result.status, "ok");
+      assert.equal(result.statusCode, 200);
+    });
+
+    it("reports a removed product page", async () => {
+      const http = createPageHttp({ status: 404 });
+      const result = await createProductLinkService({
+        http,
+      }).checkProductLink(productUrl);
+      assert.equal(result.status, "broken");
+    });
+
+    it("reports a product that redirects to the home page", async () => {
+      const http = createPageHttp({ finalUrl: "https://shop.example/" });
+      const result = await createProductLinkService({
+        http,
+      }).checkProductLink(productUrl);
+      assert.equal(result.status, "redirected");
+      assert.equal(result.finalUrl, "https://shop.example/");
+    });
+
+    it("reports a sold out product", async () => {
+      const http = createPageHttp({
+        html: '<meta property="og:availability" content="sold out">',
+      });
+      const result = await createProductLinkService({
+        http,
+      }).checkProductLink(productUrl);
+      assert.equal(result.status, "out_of_stock");
+    });
+  });
+});
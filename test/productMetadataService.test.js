@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseProductPage,
+  parsePrice,
+} = require("../services/productMetadataService");
+
+const pageUrl = "https://shop.example/products/linen-set";
+
+describe("product metadata", () => {
+  describe("parseProductPage", () => {
+    it("reads a schema.org Product from JSON-LD", () => {
+      const html = `<script type="application/ld+json">{
+        "@context": "https://schema.org",
+        "@graph": [
+          { "@type": "WebPage", "name": "Linen set | Shop" },
+          {
+            "@type": "Product",
+            "name": "Linen set",
+            "image": ["/images/linen-set.jpg"],
+            "offers": {
+              "@type": "Offer",
+              "price": "89.00",
+              "priceCurrency": "EUR",
+              "availability": "https://schema.org/InStock"
+            }
+          }
+        ]
+      }</script>`;
+      assert.deepEqual(parseProductPage(html, pageUrl), {
+        title: "Linen set",
+        image: "https://shop.example/images/linen-set.jpg",
+        price: 89,
+        currency: "EUR",
+        availability: "in_stock",
+      });
+    });
+
+    it("falls back to Open Graph product tags", () => {
+      const html = `
+        <meta property="og:title" content="Straw tote">
+        <meta property="og:image" content="https://cdn.shop.example/tote.jpg">
+        <meta property="product:price:amount" content="1.299,50">
+        <meta property="product:price:currency" content="sek">
+        <meta property="product:availability" content="out of stock">`;
+      assert.deepEqual(parseProductPage(html, pageUrl), {
+        title: "Straw tote",
+        image: "https://cdn.shop.example/tote.jpg",
+        price: 1299.5,
+        currency: "SEK",
+        availability: "out_of_stock",
+      });
+    });
+
+    it("skips malformed JSON-LD blocks", () => {
+      const html = `
+        <script type="application/ld+json">{ "@type": "Product", </script>
+        <title>Sandals</title>`;
+      const product = parseProductPage(html, pageUrl);
+      assert.equal(product.title, "Sandals");
+      assert.equal(product.price, null);
+    });
+  });
+
+  describe("parsePrice", () => {
+    it("reads thousands separators and decimal commas", () => {
+      assert.equal(parsePrice("$1,299"), 1299);
+      assert.equal(parsePrice("19.5"), 19.5);
+      assert.equal(parsePrice(42), 42);
+      assert.equal(parsePrice("free"), null);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const Post = require("../models/Post");
+const { getPlatform } = require("../platforms");
+const {
+  getRefreshedFields,
+  refreshPost,
+} = require("../services/refreshService");
+
+describe("getRefreshedFields", () => {
+  it("keeps the post URL and the user's product link", () => {
+    const fields = getRefreshedFields({
+      url: "https://www.pinterest.com/pin/123/",
+      productLink: "https://shop.example/linen-set",
+      imageUrl: "https://res.cloudinary.com/demo/image/upload/pin.jpg",
+      title: "Linen set",
+    });
+    assert.deepEqual(fields, {
+      imageUrl: "https://res.cloudinary.com/demo/image/upload/pin.jpg",
+      title: "Linen set",
+    });
+  });
+
+  it("does not blank text the extractor leaves empty", () => {
+    const fields = getRefreshedFields({
+      url: "https://www.tiktok.com/@shop/video/123",
+      title: "",
+      description: "",
+      videoPath: "https://v16.tiktokcdn.com/video.mp4",
+    });
+    assert.deepEqual(fields, {
+      videoPath: "https://v16.tiktokcdn.com/video.mp4",
+    });
+  });
+});
+
+describe("refreshPost", () => {
+  const storedImage = "https://res.cloudinary.com/demo/image/upload/pin.jpg";
+  const post = {
+    _id: "65f0c2a1b4e3d2c1a0f9e8d7",
+    platform: "pinterest",
+    url: "https://www.pinterest.com/pin/123/",
+    imageUrl: storedImage,
+  };
+  let update;
+
+  before(() => {
+    // Stands in for the Pinterest scraper: re-hosts the pin image with
+    // whatever upload the refresher passes
+    mock.method(getPlatform("pinterest"), "extract", async ({ upload }) => ({
+      post: {
+        imageUrl: await upload("https://i.pinimg.com/736x/pin.jpg", () => {}),
+        title: "Linen set",
+      },
+    }));
+    mock.method(Post, "findByIdAndUpdate", async (id, fields) => {
+      update = fields;
+      return fields;
+    });
+  });
+  after(() => mock.restoreAll());
+
+  const createUpload = () => {
+    const uploads = [];
+    const upload = async (image) => {
+      uploads.push(image);
+      return "https://res.cloudinary.com/demo/image/upload/new.jpg";
+    };
+    return { uploads, upload };
+  };
+
+  it("keeps the stored image instead of uploading it again", async () => {
+    const { uploads, upload } = createUpload();
+    const http = { head: async () => ({ status: 200 }) };
+
+    await refreshPost(post, { http, upload });
+
+    assert.deepEqual(uploads, []);
+    assert.equal(update.imageUrl, storedImage);
+    assert.equal(update.title, "Linen set");
+  });
+
+  it("uploads again when the stored image no longer loads", async () => {
+    const { uploads, upload } = createUpload();
+    const http = { head: async () => ({ status: 404 }) };
+
+    await refreshPost(post, { http, upload });
+
+    assert.deepEqual(uploads, ["https://i.pinimg.com/736x/pin.jpg"]);
+    assert.equal(
+      update.imageUrl,
+      "https://res.cloudinary.com/demo/image/upload/new.jpg"
+    );
+  });
+});
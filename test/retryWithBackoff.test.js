@@ -0,0 +1,53 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const retryWithBackoff = require("../utils/retryWithBackoff");
+
+describe("retryWithBackoff", () => {
+  it("retries until the call succeeds", async () => {
+    let calls = 0;
+    const result = await retryWithBackoff(
+      async () => {
+        calls++;
+        if (calls < 3) throw new Error("Temporary failure");
+        return "ok";
+      },
+      3,
+      1
+    );
+    assert.equal(result, "ok");
+    assert.equal(calls, 3);
+  });
+
+  it("throws the last error after maxRetries calls", async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls++;
+          throw new Error(`Failure ${calls}`);
+        },
+        2,
+        1
+      ),
+      { message: "Failure 2" }
+    );
+    assert.equal(calls, 2);
+  });
+
+  it("stops early when shouldRetry rejects the error", async () => {
+    let calls = 0;
+    await assert.rejects(
+      retryWithBackoff(
+        async () => {
+          calls++;
+          throw Object.assign(new Error("Not found"), { statusCode: 404 });
+        },
+        3,
+        1,
+        (error) => error.statusCode >= 500
+      ),
+      { statusCode: 404 }
+    );
+    assert.equal(calls, 1);
+  });
+});
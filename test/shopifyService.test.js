@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createShopifyService,
+  normalizeStoreDomain,
+} = require("../services/shopifyService");
+const { startMockStorefront } = require("./mocks/shopifyStorefront");
+
+describe("Shopify store", () => {
+  describe("normalizeStoreDomain", () => {
+    it("keeps the host of a bare or pasted store URL", () => {
+      assert.equal(
+        normalizeStoreDomain("My-Shop.myshopify.com/"),
+        "my-shop.myshopify.com"
+      );
+      assert.equal(
+        normalizeStoreDomain("https://my-shop.myshopify.com/admin"),
+        "https://my-shop.myshopify.com"
+      );
+    });
+
+    it("keeps the protocol and port of a local server", () => {
+      assert.equal(
+        normalizeStoreDomain("http://127.0.0.1:4010"),
+        "http://127.0.0.1:4010"
+      );
+    });
+
+    it("rejects plain http outside localhost", () => {
+      assert.equal(normalizeStoreDomain("http://my-shop.myshopify.com"), null);
+    });
+
+    it("rejects values that are not domains", () => {
+      assert.equal(normalizeStoreDomain("my shop"), null);
+      assert.equal(normalizeStoreDomain(""), null);
+    });
+  });
+
+  describe("Storefront API client", () => {
+    let storefront;
+    let connection;
+    const shopify = createShopifyService();
+
+    before(async () => {
+      storefront = await startMockStorefront();
+      connection = {
+        storeDomain: storefront.url,
+        accessToken: "storefront-token",
+      };
+    });
+    after(() => storefront.close());
+
+    it("verifies the connection and returns the shop name", async () => {
+      assert.deepEqual(await shopify.verifyConnection(connection), {
+        storeName: "Mock Shop",
+      });
+    });
+
+    it("rejects a wrong access token with a 400 error", async () => {
+      await assert.rejects(
+        shopify.verifyConnection({ ...connection, accessToken: "wrong" }),
+        { statusCode: 400 }
+      );
+    });
+
+    it("searches products and maps them to catalog fields", async () => {
+      const products = await shopify.searchProducts(connection, {
+        search: "linen",
+        limit: 10,
+      });
+      assert.deepEqual(products, [
+        {
+          externalId: "gid://shopify/Product/1001",
+          title: "Linen set",
+          url: `${storefront.url}/products/linen-set`,
+          image: "https://cdn.shopify.com/linen-set.jpg",
+          price: 89,
+          currency: "EUR",
+          availability: "in_stock",
+        },
+      ]);
+    });
+
+    it("fetches products by id and leaves out deleted ones", async () => {
+      const products = await shopify.getProducts(connection, [
+        "gid://shopify/Product/1002",
+        "gid://shopify/Product/9999",
+      ]);
+      assert.equal(products.length, 1);
+      assert.equal(products[0].url, "https://shop.example/products/straw-tote");
+      assert.equal(products[0].availability, "out_of_stock");
+      assert.equal(products[0].image, "");
+    });
+  });
+});
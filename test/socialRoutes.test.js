@@ -0,0 +1,177 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Product = require("../models/Product");
+const StoreConnection = require("../models/StoreConnection");
+const Feed = require("../models/Feed");
+const socialRoutes = require("../routes/social");
+
+// Stands in for a Mongoose query chain that resolves to `result`
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    sort: () => chain,
+    lean: async () => result,
+  };
+  return chain;
+};
+
+// Sub-routers mounted on /api/social must not be shadowed by /:platform,
+// which answers 400 "Invalid platform" for any other first path segment
+describe("social routes", () => {
+  const user = new User({ name: "Shop", email: "shop@example.com" });
+  let server;
+  let baseUrl;
+  let token;
+
+  before(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    token = jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+    mock.method(console, "log", () => {});
+    mock.method(User, "findById", async () => user);
+    mock.method(Product, "find", () => query([]));
+    mock.method(StoreConnection, "find", () => query([]));
+    mock.method(Feed, "findOne", async () => ({ isDefault: true }));
+    mock.method(Feed, "find", () => query([]));
+
+    const app = express();
+    app.use(express.json());
+    app.use("/api/social", socialRoutes);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/social`;
+  });
+  after(() => {
+    server.close();
+    mock.restoreAll();
+  });
+
+  const get = (path) =>
+    fetch(baseUrl + path, { headers: { Authorization: `Bearer ${token}` } });
+
+  const send = (method, path, body) =>
+    fetch(baseUrl + path, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+
+  it("routes GET /products to the catalog", async () => {
+    const response = await get("/products");
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).products, []);
+  });
+
+  it("routes GET /stores to the store connections", async () => {
+    const response = await get("/stores");
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).stores, []);
+  });
+
+  it("routes GET /feeds to the user's feeds", async () => {
+    const response = await get("/feeds");
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).feeds, []);
+  });
+
+  it("copies the catalog product to the post's product card on link", async () => {
+    const product = new Product({
+      user: user._id,
+      title: "Linen Shirt",
+      url: "https://shop.example.com/products/linen-shirt",
+      image: "https://shop.example.com/linen-shirt.jpg",
+      price: 79,
+      currency: "EUR",
+      availability: "in_stock",
+    });
+    const postId = new Post()._id;
+    mock.method(Product, "findOne", async () => product);
+    const findOneAndUpdate = mock.method(
+      Post,
+      "findOneAndUpdate",
+      async (filter, update) => ({ _id: postId, ...update })
+    );
+
+    const response = await send("PUT", `/post/${postId}/product`, {
+      productId: product._id,
+    });
+
+    assert.equal(response.status, 200);
+    const [, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(update.productLink, product.url);
+    assert.equal(update.productMeta.url, product.url);
+    assert.equal(update.productMeta.title, "Linen Shirt");
+    assert.equal(update.productMeta.image, product.image);
+    assert.equal(update.productMeta.price, 79);
+    assert.equal(update.productMeta.currency, "EUR");
+    assert.equal(update.productMeta.availability, "in_stock");
+  });
+
+  it("unlinks the catalog product when a raw product link replaces it", async () => {
+    const productLink = "https://other.example.com/shirt";
+    const updateOne = mock.method(Post, "updateOne", async () => ({}));
+    mock.method(Post, "findOneAndUpdate", async (filter, update) => ({
+      ...update,
+      productMeta: { url: productLink },
+    }));
+
+    const response = await send("PATCH", "/post/product-link", {
+      url: "https://www.instagram.com/p/abc/",
+      platform: "instagram",
+      productLink,
+    });
+
+    assert.equal(response.status, 200);
+    const [filter, update] = updateOne.mock.calls.at(-1).arguments;
+    assert.deepEqual(filter.product, { $ne: null });
+    assert.deepEqual(filter.productLink, { $ne: productLink });
+    assert.deepEqual(update, { product: null });
+  });
+
+  it("keeps the catalog product when post details leave the link out", async () => {
+    const updateOne = mock.method(Post, "updateOne", async () => ({}));
+    mock.method(Post, "findOneAndUpdate", async (filter, update) => update);
+
+    const response = await send("POST", "/post/update-details", {
+      postId: new Post()._id,
+      title: "New title",
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(updateOne.mock.callCount(), 0);
+  });
+
+  it("serves the product feed at its secret URL without logging in", async () => {
+    const token = "ab".repeat(24);
+    const findOne = mock.method(User, "findOne", async () => user);
+    mock.method(Post, "find", () => ({
+      sort: () => ({ lean: async () => [] }),
+    }));
+
+    const response = await fetch(
+      `${baseUrl}/products/feed/${token}/products.xml`
+    );
+
+    assert.equal(response.status, 200);
+    assert.match(await response.text(), /<rss version="2.0"/);
+    assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+      productFeedToken: token,
+    });
+  });
+
+  it("answers 404 for an unknown product feed token", async () => {
+    mock.method(User, "findOne", async () => null);
+
+    const response = await fetch(
+      `${baseUrl}/products/feed/${"cd".repeat(24)}/products.csv`
+    );
+
+    assert.equal(response.status, 404);
+  });
+});
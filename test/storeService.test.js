@@ -0,0 +1,61 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Product = require("../models/Product");
+const { getStoreProvider, syncStore } = require("../services/storeService");
+
+describe("syncStore", () => {
+  const userId = new mongoose.Types.ObjectId();
+  const product = new Product({
+    user: userId,
+    title: "Linen set",
+    url: "https://my-shop.myshopify.com/products/linen-set",
+    image: "https://cdn.shopify.com/linen-set.jpg",
+    price: 89,
+    currency: "EUR",
+    availability: "in_stock",
+    source: { provider: "shopify", externalId: "gid://shopify/Product/1" },
+  });
+  const connection = {
+    user: userId,
+    provider: "shopify",
+    save: async () => {},
+  };
+  const postUpdates = [];
+
+  before(() => {
+    mock.method(Product, "find", async () => [product]);
+    mock.method(product, "save", async () => product);
+    mock.method(
+      getStoreProvider("shopify").service,
+      "getProducts",
+      async () => [
+        {
+          externalId: "gid://shopify/Product/1",
+          title: "Linen set",
+          url: "https://my-shop.myshopify.com/products/linen-set",
+          image: "https://cdn.shopify.com/linen-set.jpg",
+          price: 69,
+          currency: "EUR",
+          availability: "out_of_stock",
+        },
+      ]
+    );
+    mock.method(Post, "updateMany", async (filter, update) => {
+      postUpdates.push({ filter, update });
+    });
+  });
+  after(() => mock.restoreAll());
+
+  it("copies a new price and stock to the card of linked posts", async () => {
+    const counts = await syncStore(connection);
+
+    assert.equal(counts.updated, 1);
+    const linked = postUpdates.find(({ filter }) => filter.product);
+    assert.equal(linked.filter.product, product._id);
+    assert.equal(linked.update.productMeta.price, 69);
+    assert.equal(linked.update.productMeta.availability, "out_of_stock");
+    assert.equal(linked.update.productMeta.url, product.url);
+  });
+});
@@ -0,0 +1,96 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createWooCommerceService,
+  normalizeSiteUrl,
+} = require("../services/wooCommerceService");
+const { startMockWooCommerce } = require("./mocks/wooCommerceApi");
+
+describe("WooCommerce store", () => {
+  describe("normalizeSiteUrl", () => {
+    it("keeps the subdirectory WordPress is installed in", () => {
+      assert.equal(
+        normalizeSiteUrl("example.com/shop/"),
+        "https://example.com/shop"
+      );
+      assert.equal(
+        normalizeSiteUrl("http://127.0.0.1:8080"),
+        "http://127.0.0.1:8080"
+      );
+    });
+
+    it("rejects values that are not URLs", () => {
+      assert.equal(normalizeSiteUrl("my shop"), null);
+    });
+
+    it("rejects plain http outside localhost", () => {
+      assert.equal(normalizeSiteUrl("http://example.com/shop"), null);
+      assert.equal(
+        normalizeSiteUrl("http://localhost:8080"),
+        "http://localhost:8080"
+      );
+    });
+  });
+
+  describe("REST API client", () => {
+    let store;
+    let connection;
+    const wooCommerce = createWooCommerceService();
+
+    before(async () => {
+      store = await startMockWooCommerce({ basePath: "/shop" });
+      connection = {
+        storeDomain: normalizeSiteUrl(store.url),
+        consumerKey: "ck_test",
+        consumerSecret: "cs_test",
+        currency: "EUR",
+      };
+    });
+    after(() => store.close());
+
+    it("verifies the key pair and reads the store name and currency", async () => {
+      assert.deepEqual(await wooCommerce.verifyConnection(connection), {
+        storeName: "Mock Woo Shop",
+        currency: "EUR",
+      });
+    });
+
+    it("rejects a wrong consumer secret with a 400 error", async () => {
+      await assert.rejects(
+        wooCommerce.verifyConnection({
+          ...connection,
+          consumerSecret: "wrong",
+        }),
+        { statusCode: 400 }
+      );
+    });
+
+    it("searches products and maps them to catalog fields", async () => {
+      const products = await wooCommerce.searchProducts(connection, {
+        search: "linen",
+        limit: 5,
+      });
+      assert.deepEqual(products, [
+        {
+          externalId: "501",
+          title: "Linen set",
+          url: "https://shop.example/product/linen-set/",
+          image: "https://shop.example/uploads/linen-set.jpg",
+          price: 89,
+          currency: "EUR",
+          availability: "in_stock",
+        },
+      ]);
+    });
+
+    it("fetches products by id with their stock status", async () => {
+      const products = await wooCommerce.getProducts(connection, [
+        "502",
+        "999",
+      ]);
+      assert.equal(products.length, 1);
+      assert.equal(products[0].price, null);
+      assert.equal(products[0].availability, "out_of_stock");
+    });
+  });
+});
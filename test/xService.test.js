@@ -0,0 +1,144 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  createXService,
+  getSyndicationToken,
+  parseSyndicationData,
+  parseOembedData,
+} = require("../services/xService");
+
+const loadFixture = (name) =>
+  JSON.parse(
+    fs.readFileSync(path.join(__dirname, "fixtures", "x", name), "utf8")
+  );
+
+const upload = async () => "https://res.cloudinary.com/demo/image/upload/x.jpg";
+
+describe("X scraper", () => {
+  before(() => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+  });
+  after(() => mock.restoreAll());
+
+  describe("getSyndicationToken", () => {
+    it("derives the token from the tweet id", () => {
+      assert.equal(getSyndicationToken("1790123456789012345"), "4c7u6yfe8qx");
+    });
+
+    it("leaves out zeros and the decimal point", () => {
+      assert.doesNotMatch(getSyndicationToken("1790987654321098765"), /[0.]/);
+    });
+  });
+
+  describe("parseSyndicationData", () => {
+    it("reads a photo tweet", () => {
+      assert.deepEqual(parseSyndicationData(loadFixture("photo.json")), {
+        text: "New drop: linen sets in sand and sage https://t.co/AbCdEfGhIj",
+        username: "shopexample",
+        userImage:
+          "https://pbs.twimg.com/profile_images/1700000000000000000/AbCd_400x400.jpg",
+        imageUrl: "https://pbs.twimg.com/media/GNa1B2cXwAAbCdE.jpg",
+      });
+    });
+
+    it("uses the poster of a video tweet as its image", () => {
+      const tweet = parseSyndicationData(loadFixture("video.json"));
+      assert.equal(
+        tweet.imageUrl,
+        "https://pbs.twimg.com/ext_tw_video_thumb/1790987600000000000/pu/img/QwErTy.jpg"
+      );
+      assert.equal(tweet.text, "How we dye the linen https://t.co/ZyXwVuTsRq");
+    });
+
+    it("throws when the tweet is missing", () => {
+      assert.throws(() => parseSyndicationData({}), /Tweet not found/);
+    });
+  });
+
+  describe("parseOembedData", () => {
+    it("reads the text and author from the embed HTML", () => {
+      const data = loadFixture("oembed.json");
+      assert.deepEqual(parseOembedData(data), {
+        text: "New drop: linen sets in sand & sage pic.twitter.com/AbCdEfGhIj",
+        username: "shopexample",
+        userImage: "",
+        imageUrl: "",
+        embedCode: data.html,
+      });
+    });
+  });
+
+  describe("extract", () => {
+    it("imports a photo tweet from the syndication endpoint", async () => {
+      const requests = [];
+      const x = createXService({
+        http: {
+          get: async (url) => {
+            requests.push(url);
+            return { data: loadFixture("photo.json") };
+          },
+        },
+        upload,
+      });
+      const { post } = await x.extract({
+        url: "https://twitter.com/ShopExample/status/1790123456789012345?s=20",
+      });
+
+      assert.match(requests[0], /tweet-result\?id=1790123456789012345/);
+      assert.match(requests[0], /token=4c7u6yfe8qx/);
+      assert.equal(
+        post.url,
+        "https://x.com/shopexample/status/1790123456789012345"
+      );
+      assert.equal(
+        post.imageUrl,
+        "https://res.cloudinary.com/demo/image/upload/x.jpg"
+      );
+      assert.equal(post.embedCode, "");
+    });
+
+    it("falls back to oEmbed when the syndication endpoint fails", async () => {
+      const uploads = [];
+      const x = createXService({
+        http: {
+          get: async (url) => {
+            if (url.includes("syndication")) throw new Error("404");
+            return { data: loadFixture("oembed.json") };
+          },
+        },
+        upload: async (imageUrl) => {
+          uploads.push(imageUrl);
+          return upload();
+        },
+      });
+      const { post } = await x.extract({
+        url: "https://x.com/shopexample/status/1790123456789012345",
+      });
+
+      assert.equal(post.username, "shopexample");
+      assert.match(post.embedCode, /twitter-tweet/);
+      // oEmbed has no media, so there is nothing to upload
+      assert.equal(post.imageUrl, "");
+      assert.deepEqual(uploads, []);
+    });
+
+    it("answers 404 when both endpoints fail", async () => {
+      const x = createXService({
+        http: {
+          get: async () => {
+            throw new Error("404");
+          },
+        },
+        upload,
+      });
+
+      await assert.rejects(
+        x.extract({ url: "https://x.com/shopexample/status/1" }),
+        (error) => error.statusCode === 404
+      );
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createYouTubeService } = require("../services/youtubeService");
+
+// Answers the videos and channels API calls for two videos, one of which
+// is a Short, and records the /shorts/ checks
+const createApiHttp = () => ({
+  get: async (url) => {
+    if (url.includes("/videos?")) {
+      return {
+        data: {
+          items: ["dQw4w9WgXcQ", "9bZkp7q19f0"].map((id) => ({
+            id,
+            snippet: {
+              title: `Video ${id}`,
+              channelId: "UC123",
+              channelTitle: "Shoplinkify",
+              thumbnails: { high: { url: `https://i.ytimg.com/${id}.jpg` } },
+            },
+          })),
+        },
+      };
+    }
+    return {
+      data: {
+        items: [
+          {
+            id: "UC123",
+            snippet: { thumbnails: { default: { url: "https://yt3/c.jpg" } } },
+          },
+        ],
+      },
+    };
+  },
+  // youtube.com/shorts/ID answers 200 only for Shorts
+  head: async (url) => ({
+    status: url.endsWith("/9bZkp7q19f0") ? 200 : 303,
+  }),
+});
+
+describe("YouTube service", () => {
+  let apiKey;
+  before(() => {
+    apiKey = process.env.YOUTUBE_API_KEY;
+    process.env.YOUTUBE_API_KEY = "test-key";
+  });
+  after(() => {
+    if (apiKey === undefined) delete process.env.YOUTUBE_API_KEY;
+    else process.env.YOUTUBE_API_KEY = apiKey;
+  });
+
+  it("flags Shorts imported from a collection", async () => {
+    const youtube = createYouTubeService({ http: createApiHttp() });
+    const results = await youtube.extractMany([
+      { id: "dQw4w9WgXcQ" },
+      { id: "9bZkp7q19f0" },
+    ]);
+
+    assert.deepEqual(
+      results.map(({ post }) => [post.videoId, post.isShort]),
+      [
+        ["dQw4w9WgXcQ", false],
+        ["9bZkp7q19f0", true],
+      ]
+    );
+  });
+
+  describe("checkAvailability", () => {
+    // oEmbed answers `oembedStatus`; the Data API lists the video when
+    // `listed` is true
+    const createCheckHttp = (oembedStatus, listed) => ({
+      get: async (url) =>
+        url.includes("/oembed")
+          ? { status: oembedStatus, data: {} }
+          : { data: { items: listed ? [{ id: "dQw4w9WgXcQ" }] : [] } },
+    });
+    const post = { url: "https://www.youtube.com/watch?v=dQw4w9WgXcQ" };
+
+    it("keeps a public video whose owner disabled embedding", async () => {
+      const youtube = createYouTubeService({
+        http: createCheckHttp(401, true),
+      });
+      assert.equal(await youtube.checkAvailability(post), null);
+    });
+
+    it("reports a video the Data API no longer returns", async () => {
+      const youtube = createYouTubeService({
+        http: createCheckHttp(404, false),
+      });
+      assert.equal(
+        await youtube.checkAvailability(post),
+        "Video is private or was removed"
+      );
+    });
+
+    it("skips the Data API when oEmbed finds the video", async () => {
+      const youtube = createYouTubeService({
+        http: {
+          get: async (url) => {
+            assert.match(url, /\/oembed/);
+            return { status: 200, data: {} };
+          },
+        },
+      });
+      assert.equal(await youtube.checkAvailability(post), null);
+    });
+  });
+});
@@ -0,0 +1,9 @@
+// Creates an Error carrying the HTTP status the route should respond with.
+// The optional cause keeps the underlying error message for the response body.
+const createHttpError = (statusCode, message, cause) => {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.statusCode = statusCode;
+  return error;
+};
+
+module.exports = createHttpError;
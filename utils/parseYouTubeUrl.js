@@ -0,0 +1,68 @@
+// Parses a YouTube video URL or iframe embed code.
+//
+// Understands watch?v= (with the v param anywhere in the query), youtu.be/,
+// /embed/, /shorts/, /live/ and /v/ paths on www, m, music and
+// youtube-nocookie hosts. Returns null when no video id can be found, else:
+//   videoId      - the 11 character video id
+//   isShort      - true when the URL is a /shorts/ link
+//   canonicalUrl - https://www.youtube.com/watch?v=VIDEO_ID, the same for
+//                  every form so one video is only stored once
+const VIDEO_ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+const YOUTUBE_HOST_PATTERN =
+  /^((www|m|music)\.)?(youtube\.com|youtube-nocookie\.com)$/i;
+
+const PATH_PREFIXES = ["embed", "shorts", "live", "v"];
+
+const getCanonicalUrl = (videoId) =>
+  `https://www.youtube.com/watch?v=${videoId}`;
+
+const parseYouTubeUrl = (input) => {
+  if (!input || typeof input !== "string") return null;
+
+  let value = input.trim();
+
+  // Pull the src out of an iframe embed code
+  if (value.includes("<iframe")) {
+    const srcMatch = value.match(/src=["']([^"']+)["']/i);
+    if (!srcMatch) return null;
+    value = srcMatch[1];
+  }
+
+  // Accept URLs pasted without a scheme, e.g. youtu.be/VIDEO_ID
+  if (value.startsWith("//")) value = `https:${value}`;
+  if (!/^https?:\/\//i.test(value)) value = `https://${value}`;
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(value);
+  } catch (error) {
+    return null;
+  }
+
+  const host = parsedUrl.hostname.toLowerCase();
+  const segments = parsedUrl.pathname.split("/").filter(Boolean);
+  let videoId = null;
+  let isShort = false;
+
+  if (host === "youtu.be" || host === "www.youtu.be") {
+    videoId = segments[0];
+  } else if (YOUTUBE_HOST_PATTERN.test(host)) {
+    if (segments[0] === "watch") {
+      videoId = parsedUrl.searchParams.get("v");
+    } else if (PATH_PREFIXES.includes(segments[0])) {
+      videoId = segments[1];
+      isShort = segments[0] === "shorts";
+    }
+  }
+
+  if (!videoId || !VIDEO_ID_PATTERN.test(videoId)) return null;
+
+  return {
+    videoId,
+    isShort,
+    canonicalUrl: getCanonicalUrl(videoId),
+  };
+};
+
+module.exports = { parseYouTubeUrl, getCanonicalUrl };
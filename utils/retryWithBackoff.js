@@ -0,0 +1,24 @@
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Calls fn until it resolves, waiting initialDelay, 2x, 4x... between tries.
+// shouldRetry(error) can stop early on errors a retry will not fix.
+const retryWithBackoff = async (
+  fn,
+  maxRetries = 3,
+  initialDelay = 1000,
+  shouldRetry = () => true
+) => {
+  let retries = 0;
+  while (retries < maxRetries) {
+    try {
+      return await fn();
+    } catch (error) {
+      retries++;
+      if (retries === maxRetries || !shouldRetry(error)) throw error;
+      const delay = initialDelay * Math.pow(2, retries - 1);
+      await sleep(delay);
+    }
+  }
+};
+
+module.exports = retryWithBackoff;
@@ -0,0 +1,103 @@
+const ImportJob = require("../models/ImportJob");
+const { getPlatform } = require("../platforms");
+const { importSinglePost } = require("../services/importService");
+const retryWithBackoff = require("../utils/retryWithBackoff");
+const runEvery = require("./runEvery");
+
+const DEFAULT_POLL_INTERVAL = 2000;
+const MAX_ATTEMPTS = 3;
+// A job still running after this long belongs to a worker that died
+const STALE_JOB_TIMEOUT = 5 * 60 * 1000;
+// A job whose worker died this many times is failed instead of requeued, as
+// it is likely the job that brings the worker down
+const MAX_REQUEUES = 2;
+
+// 4xx errors (bad URL, private post, duplicate) fail the same way every time
+const isRetryable = (error) => !(error.statusCode && error.statusCode < 500);
+
+// Atomically takes the oldest queued job so two workers never share one
+const claimNextJob = () =>
+  ImportJob.findOneAndUpdate(
+    { status: "queued" },
+    { status: "running", startedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const requeueStaleJobs = async () => {
+  const stale = {
+    status: "running",
+    startedAt: { $lt: new Date(Date.now() - STALE_JOB_TIMEOUT) },
+  };
+
+  await ImportJob.updateMany(
+    { ...stale, requeues: { $gte: MAX_REQUEUES } },
+    {
+      status: "failed",
+      error: "Import stopped responding too many times",
+      finishedAt: new Date(),
+    }
+  );
+  await ImportJob.updateMany(
+    { ...stale, requeues: { $lt: MAX_REQUEUES } },
+    { status: "queued", startedAt: null, $inc: { requeues: 1 } }
+  );
+};
+
+const runJob = async (job) => {
+  const platform = getPlatform(job.platform);
+
+  try {
+    const { post } = await retryWithBackoff(
+      () => {
+        job.attempts++;
+        return importSinglePost(job.user, platform, {
+          url: job.url,
+          embedCode: job.embedCode,
+        });
+      },
+      MAX_ATTEMPTS,
+      1000,
+      isRetryable
+    );
+
+    job.status = "completed";
+    job.post = post._id;
+    console.log(`Import job ${job._id} completed: ${job.url}`);
+  } catch (error) {
+    job.status = "failed";
+    job.post = error.existingPostId || null;
+    job.error = error.statusCode
+      ? error.message
+      : `Error importing ${platform.label} post: ${
+          (error.cause || error).message
+        }`;
+    if (error.statusCode !== 409) {
+      console.error(`Import job ${job._id} failed:`, error);
+    }
+  }
+
+  job.finishedAt = new Date();
+  await job.save();
+};
+
+// Runs queued jobs one after another until the queue is empty
+const processQueue = async () => {
+  await requeueStaleJobs();
+
+  let job = await claimNextJob();
+  while (job) {
+    await runJob(job);
+    job = await claimNextJob();
+  }
+};
+
+// Polls the queue every IMPORT_WORKER_POLL_MS. Returns a function that stops it.
+const startImportWorker = () =>
+  runEvery(
+    "Import worker",
+    Number(process.env.IMPORT_WORKER_POLL_MS) || DEFAULT_POLL_INTERVAL,
+    processQueue,
+    0
+  );
+
+module.exports = { startImportWorker, processQueue };
@@ -0,0 +1,38 @@
+const { startImportWorker } = require("./importWorker");
+const { startRefreshWorker } = require("./refreshWorker");
+const { startLinkHealthWorker } = require("./linkHealthWorker");
+const { startProductLinkWorker } = require("./productLinkWorker");
+const { startStoreSyncWorker } = require("./storeSyncWorker");
+
+// Starts every background worker. Returns a function that stops them all.
+const startWorkers = () => {
+  const stops = [startImportWorker()];
+  if (process.env.POST_REFRESH_ENABLED !== "false") {
+    stops.push(startRefreshWorker());
+  }
+  if (process.env.LINK_CHECK_ENABLED !== "false") {
+    stops.push(startLinkHealthWorker());
+  }
+  if (process.env.PRODUCT_LINK_CHECK_ENABLED !== "false") {
+    stops.push(startProductLinkWorker());
+  }
+  if (process.env.STORE_SYNC_ENABLED !== "false") {
+    stops.push(startStoreSyncWorker());
+  }
+  return () => stops.forEach((stop) => stop());
+};
+
+module.exports = { startWorkers };
+
+// `npm run worker` runs the workers in their own process, for deployments
+// such as Vercel where the API process does not live between requests
+if (require.main === module) {
+  require("dotenv").config();
+  require("mongoose")
+    .connect(process.env.MONGODB_URI)
+    .then(() => {
+      console.log("Connected to MongoDB");
+      startWorkers();
+    })
+    .catch((err) => console.error("MongoDB connection error:", err));
+}
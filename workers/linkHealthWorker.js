@@ -0,0 +1,35 @@
+const { checkStalePosts } = require("../services/linkHealthService");
+const runEvery = require("./runEvery");
+
+const HOUR = 60 * 60 * 1000;
+
+// Settings come from the environment:
+//   LINK_CHECK_INTERVAL_MINUTES  how often to look for unchecked posts (60)
+//   LINK_CHECK_MAX_AGE_HOURS     re-check posts checked longer ago (12)
+//   LINK_CHECK_BATCH_SIZE        posts checked per run (50)
+const getLinkCheckSettings = () => ({
+  interval: (Number(process.env.LINK_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  maxAge: (Number(process.env.LINK_CHECK_MAX_AGE_HOURS) || 12) * HOUR,
+  limit: Number(process.env.LINK_CHECK_BATCH_SIZE) || 50,
+});
+
+// Checks a batch of posts every interval. Returns a function that stops it.
+const startLinkHealthWorker = () => {
+  const { interval, maxAge, limit } = getLinkCheckSettings();
+
+  return runEvery("Link health worker", interval, async () => {
+    const { available, unavailable, unknown } = await checkStalePosts({
+      maxAge,
+      limit,
+    });
+    if (unavailable) {
+      console.log(
+        `Checked ${
+          available + unavailable + unknown
+        } posts, ${unavailable} unavailable`
+      );
+    }
+  });
+};
+
+module.exports = { startLinkHealthWorker };
@@ -0,0 +1,30 @@
+const { checkStaleProductLinks } = require("../services/productLinkService");
+const runEvery = require("./runEvery");
+
+const HOUR = 60 * 60 * 1000;
+
+// Settings come from the environment:
+//   PRODUCT_LINK_CHECK_INTERVAL_MINUTES  how often to look for links (60)
+//   PRODUCT_LINK_CHECK_MAX_AGE_HOURS     re-check links checked longer ago (24)
+//   PRODUCT_LINK_CHECK_BATCH_SIZE        links checked per run (50)
+const getProductLinkCheckSettings = () => ({
+  interval:
+    (Number(process.env.PRODUCT_LINK_CHECK_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  maxAge: (Number(process.env.PRODUCT_LINK_CHECK_MAX_AGE_HOURS) || 24) * HOUR,
+  limit: Number(process.env.PRODUCT_LINK_CHECK_BATCH_SIZE) || 50,
+});
+
+// Checks a batch of product links every interval. Returns a function that
+// stops it.
+const startProductLinkWorker = () => {
+  const { interval, maxAge, limit } = getProductLinkCheckSettings();
+
+  return runEvery("Product link worker", interval, async () => {
+    const counts = await checkStaleProductLinks({ maxAge, limit });
+    if (Object.keys(counts).length) {
+      console.log("Checked product links:", counts);
+    }
+  });
+};
+
+module.exports = { startProductLinkWorker };
@@ -0,0 +1,30 @@
+const { refreshStalePosts } = require("../services/refreshService");
+const runEvery = require("./runEvery");
+
+const HOUR = 60 * 60 * 1000;
+
+// Settings come from the environment:
+//   POST_REFRESH_INTERVAL_MINUTES  how often to look for stale posts (60)
+//   POST_REFRESH_MAX_AGE_HOURS     refresh posts older than this (24)
+//   POST_REFRESH_BATCH_SIZE        posts refreshed per run (25)
+const getRefreshSettings = () => ({
+  interval:
+    (Number(process.env.POST_REFRESH_INTERVAL_MINUTES) || 60) * 60 * 1000,
+  maxAge: (Number(process.env.POST_REFRESH_MAX_AGE_HOURS) || 24) * HOUR,
+  limit: Number(process.env.POST_REFRESH_BATCH_SIZE) || 25,
+});
+
+// Refreshes a batch of stale posts every interval. Returns a function that
+// stops it.
+const startRefreshWorker = () => {
+  const { interval, maxAge, limit } = getRefreshSettings();
+
+  return runEvery("Post refresh worker", interval, async () => {
+    const { refreshed, failed } = await refreshStalePosts({ maxAge, limit });
+    if (refreshed || failed) {
+      console.log(`Refreshed ${refreshed} posts, ${failed} failed`);
+    }
+  });
+};
+
+module.exports = { startRefreshWorker };
@@ -0,0 +1,28 @@
+// Runs `task` after `firstDelay`, then again `interval` after each run
+// finishes, so runs never overlap. Errors are logged with `name` and the
+// loop keeps going. Returns a function that stops it.
+const runEvery = (name, interval, task, firstDelay = interval) => {
+  let stopped = false;
+  let timer = null;
+
+  const tick = async () => {
+    try {
+      await task();
+    } catch (error) {
+      console.error(`${name} error:`, error);
+    }
+    if (!stopped) {
+      timer = setTimeout(tick, interval);
+    }
+  };
+
+  timer = setTimeout(tick, firstDelay);
+  console.log(`${name} started`);
+
+  return () => {
+    stopped = true;
+    clearTimeout(timer);
+  };
+};
+
+module.exports = runEvery;
@@ -0,0 +1,12 @@
+const { syncAllStores } = require("../services/storeService");
+const runEvery = require("./runEvery");
+
+// STORE_SYNC_INTERVAL_MINUTES sets how often connected stores are synced (60)
+const startStoreSyncWorker = () =>
+  runEvery(
+    "Store sync worker",
+    (Number(process.env.STORE_SYNC_INTERVAL_MINUTES) || 60) * 60 * 1000,
+    syncAllStores
+  );
+
+module.exports = { startStoreSyncWorker };